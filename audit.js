@@ -0,0 +1,90 @@
+// Append-only audit log of staff access and data changes.
+
+const db = require('./db');
+
+const AUDIT_PAGE_SIZE = 50;
+
+// Record one entry. Never throws: a failed audit write is logged rather than
+// failing the request it describes, which has usually already been answered.
+async function recordAudit({ actor, action, targetType = null, targetId = null, sessionId = null, status = null, ip = null, details = null }) {
+  try {
+    await db.query(
+      `INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, session_id, status, ip, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [actor?.id || null, actor?.email || null, action, targetType, targetId, sessionId, status, ip,
+        details ? JSON.stringify(details) : null]
+    );
+  } catch (err) {
+    console.error(`Failed to record audit entry "${action}":`, err);
+  }
+}
+
+// Parse the audit log filters from a query string. Returns { where, params,
+// limit } or { error }.
+function buildAuditFilters(query) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  for (const [param, column] of [['actorId', 'actor_id'], ['action', 'action'], ['sessionId', 'session_id'], ['targetId', 'target_id']]) {
+    const value = query[param];
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string' || value.length > 200) {
+      return { error: `${param} must be a string under 200 characters` };
+    }
+    add(`${column} = ?`, value);
+  }
+
+  for (const [param, op] of [['from', '>='], ['to', '<']]) {
+    const value = query[param];
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      return { error: `${param} must be a date (YYYY-MM-DD)` };
+    }
+    // "to" is inclusive of the whole day
+    add(param === 'to' ? `created_at ${op} ?::date + 1` : `created_at ${op} ?::date`, value);
+  }
+
+  if (query.before !== undefined && query.before !== '') {
+    if (!/^\d{1,18}$/.test(String(query.before))) {
+      return { error: 'before must be an entry id' };
+    }
+    add('id < ?', query.before);
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Newest entries first, AUDIT_PAGE_SIZE at a time. Returns { entries,
+// nextCursor } or { error } for invalid filters.
+async function listAuditLog(query) {
+  const filters = buildAuditFilters(query);
+  if (filters.error) return filters;
+
+  const result = await db.query(
+    `SELECT id, actor_id, actor_email, action, target_type, target_id, session_id, status, ip, details, created_at
+     FROM audit_log ${filters.where}
+     ORDER BY id DESC
+     LIMIT ${AUDIT_PAGE_SIZE + 1}`,
+    filters.params
+  );
+  const entries = result.rows.slice(0, AUDIT_PAGE_SIZE);
+  return {
+    entries,
+    nextCursor: result.rows.length > AUDIT_PAGE_SIZE ? String(entries[entries.length - 1].id) : null,
+  };
+}
+
+async function listAuditActions() {
+  const result = await db.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+  return result.rows.map(row => row.action);
+}
+
+module.exports = {
+  recordAudit,
+  listAuditLog,
+  listAuditActions,
+};
@@ -0,0 +1,251 @@
+// Staff accounts and login sessions for the admin dashboard.
+//
+// Passwords are hashed with scrypt. Logging in creates a server-side session
+// identified by a random bearer token; only its SHA-256 hash is stored, so a
+// database dump can't be replayed as a login.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const db = require('./db');
+const { HttpError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Lowest privilege first; a role can do everything the roles before it can
+const ADMIN_ROLES = ['viewer', 'assessor', 'owner'];
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS, 10) || 12;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+function roleAtLeast(role, minimum) {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(minimum);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const expectedBuf = Buffer.from(expected, 'base64');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedBuf.length);
+  return crypto.timingSafeEqual(hash, expectedBuf);
+}
+
+// Hash of a password nobody has, checked against when the email is unknown so
+// a failed login takes the same time either way
+const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    disabled: Boolean(row.disabled_at),
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at,
+  };
+}
+
+function validationError(message) {
+  return new HttpError(400, message);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw validationError(`password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+  }
+}
+
+async function listAdminUsers() {
+  const result = await db.query('SELECT * FROM admin_users ORDER BY disabled_at IS NOT NULL, LOWER(name)');
+  return result.rows.map(toUser);
+}
+
+// Throws an HttpError for invalid input or a duplicate email
+async function createAdminUser({ email, name, password, role }) {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()) || email.length > 200) {
+    throw validationError('a valid email is required');
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+    throw validationError('name is required and must be under 200 characters');
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    throw validationError(`role must be one of: ${ADMIN_ROLES.join(', ')}`);
+  }
+  validatePassword(password);
+
+  try {
+    const result = await db.query(
+      `INSERT INTO admin_users (id, email, name, password_hash, role)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [crypto.randomUUID(), email.trim(), name.trim(), await hashPassword(password), role]
+    );
+    return toUser(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new HttpError(409, 'A user with that email already exists');
+    }
+    throw err;
+  }
+}
+
+// Update a user's name, role, disabled flag or password. Refuses to leave the
+// system without an active owner. Disabling a user or changing their password
+// signs them out everywhere. Returns null if the user doesn't exist.
+async function updateAdminUser(userId, { name, role, disabled, password }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 200)) {
+    throw validationError('name must be a non-empty string under 200 characters');
+  }
+  if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+    throw validationError(`role must be one of: ${ADMIN_ROLES.join(', ')}`);
+  }
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    throw validationError('disabled must be true or false');
+  }
+  if (password !== undefined) validatePassword(password);
+  const passwordHash = password !== undefined ? await hashPassword(password) : null;
+
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Lock every active owner so two concurrent demotions can't both pass the check
+    const owners = await client.query(
+      "SELECT id FROM admin_users WHERE role = 'owner' AND disabled_at IS NULL FOR UPDATE"
+    );
+    const current = await client.query('SELECT * FROM admin_users WHERE id = $1 FOR UPDATE', [userId]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const user = current.rows[0];
+    const losesOwner = user.role === 'owner' && !user.disabled_at &&
+      ((role !== undefined && role !== 'owner') || disabled === true);
+    if (losesOwner && owners.rows.length <= 1) {
+      throw new HttpError(409, 'There must be at least one active owner');
+    }
+
+    const result = await client.query(
+      `UPDATE admin_users SET
+         name = COALESCE($2, name),
+         role = COALESCE($3, role),
+         disabled_at = CASE WHEN $4::boolean IS NULL THEN disabled_at
+                            WHEN $4 THEN COALESCE(disabled_at, NOW())
+                            ELSE NULL END,
+         password_hash = COALESCE($5, password_hash)
+       WHERE id = $1 RETURNING *`,
+      [userId, name?.trim() ?? null, role ?? null, disabled ?? null, passwordHash]
+    );
+    if (disabled === true || passwordHash) {
+      await client.query('DELETE FROM admin_sessions WHERE user_id = $1', [userId]);
+    }
+    await client.query('COMMIT');
+    return toUser(result.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Check an email and password. Returns the user, or null if the credentials
+// are wrong or the account is disabled.
+async function authenticate(email, password) {
+  if (typeof email !== 'string' || typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+    return null;
+  }
+  const result = await db.query('SELECT * FROM admin_users WHERE LOWER(email) = LOWER($1)', [email.trim()]);
+  const row = result.rows[0];
+  const valid = await verifyPassword(password, row ? row.password_hash : await dummyPasswordHash);
+  if (!row || !valid || row.disabled_at) return null;
+
+  await db.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [row.id]);
+  return toUser(row);
+}
+
+// Let a user change their own password. Returns false if the current password
+// is wrong. Signs the user out everywhere, like any password change.
+async function changePassword(userId, currentPassword, newPassword) {
+  validatePassword(newPassword);
+  const result = await db.query('SELECT password_hash FROM admin_users WHERE id = $1', [userId]);
+  if (result.rows.length === 0 || typeof currentPassword !== 'string' ||
+      !(await verifyPassword(currentPassword, result.rows[0].password_hash))) {
+    return false;
+  }
+  await updateAdminUser(userId, { password: newPassword });
+  return true;
+}
+
+// Start a login session; returns the bearer token and its expiry
+async function createSession(userId) {
+  // Expired sessions are only ever rejected, so tidy them up here
+  await db.query('DELETE FROM admin_sessions WHERE expires_at < NOW()');
+  const token = crypto.randomBytes(32).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO admin_sessions (token_hash, user_id, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3)) RETURNING expires_at`,
+    [hashToken(token), userId, SESSION_TTL_HOURS]
+  );
+  return { token, expiresAt: result.rows[0].expires_at };
+}
+
+// The active user behind a bearer token, or null if the session is unknown,
+// expired or belongs to a disabled account
+async function findSessionUser(token) {
+  if (!token) return null;
+  const result = await db.query(
+    `SELECT u.* FROM admin_sessions s
+     JOIN admin_users u ON u.id = s.user_id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.disabled_at IS NULL`,
+    [hashToken(token)]
+  );
+  return result.rows.length > 0 ? toUser(result.rows[0]) : null;
+}
+
+async function deleteSession(token) {
+  await db.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+// Create the first owner from ADMIN_EMAIL / ADMIN_PASSWORD if no users exist yet
+async function ensureBootstrapOwner() {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  const existing = await db.query('SELECT 1 FROM admin_users LIMIT 1');
+  if (existing.rows.length > 0) return;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn('No admin users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first owner.');
+    return;
+  }
+  try {
+    await createAdminUser({ email: ADMIN_EMAIL, name: 'Owner', password: ADMIN_PASSWORD, role: 'owner' });
+    console.log(`Created owner account ${ADMIN_EMAIL}`);
+  } catch (err) {
+    // Another instance may have won the race
+    if (err.status !== 409) throw err;
+  }
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  hashToken,
+  roleAtLeast,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  authenticate,
+  changePassword,
+  createSession,
+  findSessionUser,
+  deleteSession,
+  ensureBootstrapOwner,
+};
@@ -0,0 +1,174 @@
+// Delivery metrics for spoken participant turns: speaking rate, pauses,
+// filler words and how long the participant took to respond.
+//
+// Measured at transcription time from the 16kHz WAV and the transcription's
+// segment timing, and stored with the turn's speech data (see speech.js).
+
+const { execFile } = require('child_process');
+
+// Quieter than this for at least PAUSE_MIN_SECONDS counts as a pause
+const SILENCE_NOISE_DB = -35;
+const PAUSE_MIN_SECONDS = 0.3;
+// Longest believable gap between the AI finishing and the participant
+// starting; anything longer is a participant who stepped away
+const MAX_LATENCY_MS = 10 * 60 * 1000;
+
+// Whisper writes hesitations out as words. Fillers that are also ordinary
+// words ("like", "este", "pues") are only counted when set off by a comma
+// ("it was, like, fine"), which is how whisper-style models punctuate the
+// filler; "I like that" isn't counted. By the session's language.
+const FILLERS = {
+  en: [
+    { word: 'um', pattern: /\b(?:um+|erm+)\b/gi },
+    { word: 'uh', pattern: /\b(?:uh+|er+|ah+)\b/gi },
+    { word: 'hmm', pattern: /\b(?:hm+|mm+)\b/gi },
+    { word: 'like', pattern: /(?:,\s*like\b|\blike\s*,)/gi },
+    { word: 'you know', pattern: /\byou know\b/gi },
+    { word: 'I mean', pattern: /\bi mean\b/gi },
+  ],
+  es: [
+    { word: 'eh', pattern: /\b(?:eh+|em+|ehm+)\b/gi },
+    { word: 'mmm', pattern: /\b(?:hm+|mm+)\b/gi },
+    { word: 'este', pattern: /(?:,\s*este\b|\beste\s*,)/gi },
+    { word: 'pues', pattern: /(?:,\s*pues\b|\bpues\s*,)/gi },
+    { word: 'o sea', pattern: /\bo sea\b/gi },
+  ],
+};
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Run ffmpeg's silencedetect over a WAV. Returns { duration, silences } with
+// times in seconds; a silence still open at the end runs to the duration.
+function detectSilences(wavPath, signal) {
+  return new Promise((resolve, reject) => {
+    execFile('ffmpeg', [
+      '-hide_banner', '-i', wavPath,
+      '-af', `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${PAUSE_MIN_SECONDS}`,
+      '-f', 'null', '-',
+    ], { timeout: 30000, signal }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`ffmpeg silence detection failed: ${error.message}`));
+        return;
+      }
+      const durationMatch = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr);
+      const duration = durationMatch
+        ? Number(durationMatch[1]) * 3600 + Number(durationMatch[2]) * 60 + Number(durationMatch[3])
+        : 0;
+      const silences = [];
+      for (const match of stderr.matchAll(/silence_(start|end): (-?\d+(?:\.\d+)?)/g)) {
+        const time = Math.max(Number(match[2]), 0);
+        if (match[1] === 'start') {
+          silences.push({ start: time, end: duration });
+        } else if (silences.length > 0) {
+          silences[silences.length - 1].end = time;
+        }
+      }
+      resolve({ duration, silences });
+    });
+  });
+}
+
+function countFillers(text, language) {
+  const byWord = {};
+  let total = 0;
+  for (const { word, pattern } of FILLERS[language] || []) {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0) {
+      byWord[word] = count;
+      total += count;
+    }
+  }
+  return { total, byWord };
+}
+
+// Compute the metrics for one turn.
+//   text       - the transcription (before redaction; only counts are kept)
+//   segments   - transcription segments, [{ start, end, text }] in seconds
+//   audio      - { duration, silences } from detectSilences
+//   latencyMs  - time from the AI's reply finishing to recording starting, as
+//                reported by the client (null if unknown)
+//   language   - the session's language, for filler words
+function computeDeliveryMetrics({ text, segments, audio, latencyMs, language }) {
+  const words = (text.match(/[\p{L}\p{N}']+/gu) || []).length;
+
+  // The transcription's segments bound the speech; silence detection
+  // tightens them, since whisper tends to pad segment edges
+  const leading = audio.silences.find(s => s.start <= 0.05);
+  const trailing = audio.silences.find(s => s.end >= audio.duration - 0.05 && s !== leading);
+  let speechStart = segments.length > 0 ? segments[0].start : 0;
+  let speechEnd = segments.length > 0 ? segments[segments.length - 1].end : audio.duration;
+  if (leading) speechStart = Math.max(speechStart, leading.end);
+  if (trailing) speechEnd = Math.min(speechEnd, trailing.start);
+  const speakingSeconds = Math.max(speechEnd - speechStart, 0);
+
+  const pauses = audio.silences
+    .filter(s => s !== leading && s !== trailing && s.start >= speechStart && s.end <= speechEnd)
+    .map(s => s.end - s.start);
+
+  const responseLatencySeconds = typeof latencyMs === 'number' && latencyMs >= 0 && latencyMs <= MAX_LATENCY_MS
+    ? round(latencyMs / 1000 + speechStart)
+    : null;
+
+  return {
+    words,
+    speakingSeconds: round(speakingSeconds),
+    wordsPerMinute: speakingSeconds >= 1 ? Math.round(words / (speakingSeconds / 60)) : null,
+    pauses: {
+      count: pauses.length,
+      totalSeconds: round(pauses.reduce((sum, p) => sum + p, 0)),
+      longestSeconds: pauses.length > 0 ? round(Math.max(...pauses)) : 0,
+    },
+    fillers: countFillers(text, language),
+    responseLatencySeconds,
+  };
+}
+
+async function measureDelivery(wavPath, { text, segments, latencyMs, language = 'en', signal }) {
+  const audio = await detectSilences(wavPath, signal);
+  return computeDeliveryMetrics({ text, segments, audio, latencyMs, language });
+}
+
+// Session-wide figures for the analysis result: averages per turn, weighted
+// by speaking time for the speaking rate
+function summarizeDelivery(turns) {
+  if (turns.length === 0) return null;
+  const average = values => {
+    const present = values.filter(v => typeof v === 'number');
+    return present.length > 0 ? round(present.reduce((sum, v) => sum + v, 0) / present.length) : null;
+  };
+  const words = turns.reduce((sum, t) => sum + t.words, 0);
+  const speakingSeconds = turns.reduce((sum, t) => sum + t.speakingSeconds, 0);
+  return {
+    turns: turns.length,
+    wordsPerMinute: speakingSeconds >= 1 ? Math.round(words / (speakingSeconds / 60)) : null,
+    pausesPerMinute: speakingSeconds >= 1
+      ? round(turns.reduce((sum, t) => sum + t.pauses.count, 0) / (speakingSeconds / 60))
+      : null,
+    longestPauseSeconds: round(Math.max(...turns.map(t => t.pauses.longestSeconds))),
+    fillers: turns.reduce((sum, t) => sum + t.fillers.total, 0),
+    averageResponseLatencySeconds: average(turns.map(t => t.responseLatencySeconds)),
+  };
+}
+
+// One line for the analysis prompt
+function describeDelivery(metrics) {
+  const parts = [];
+  if (metrics.wordsPerMinute !== null) parts.push(`${metrics.wordsPerMinute} words/min`);
+  parts.push(metrics.pauses.count > 0
+    ? `${metrics.pauses.count} pause(s), longest ${metrics.pauses.longestSeconds}s`
+    : 'no pauses');
+  parts.push(metrics.fillers.total > 0
+    ? `fillers: ${Object.entries(metrics.fillers.byWord).map(([word, n]) => `"${word}" x${n}`).join(', ')}`
+    : 'no fillers');
+  if (metrics.responseLatencySeconds !== null) parts.push(`responded after ${metrics.responseLatencySeconds}s`);
+  return parts.join('; ');
+}
+
+module.exports = {
+  measureDelivery,
+  summarizeDelivery,
+  describeDelivery,
+};
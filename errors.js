@@ -0,0 +1,16 @@
+// Errors meant for the client. Route handlers answer an HttpError with its
+// status and message; anything else is logged and answered with a generic
+// message, so details from the database or upstream APIs (whose errors may
+// also carry a `status`) never reach the client.
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = {
+  HttpError,
+};
@@ -0,0 +1,39 @@
+// Languages a conversation can be held in.
+//
+// Scenarios are written in English (DEFAULT_LANGUAGE); a scenario is offered
+// in another language once it has a translation for it (see scenarios.js).
+// The session's language then decides what the STT provider listens for, the
+// TTS voice, the language the AI character speaks and the language of the
+// analysis, which also comes with English translations for staff.
+
+const DEFAULT_LANGUAGE = 'en';
+
+// name is for staff and prompts; nativeName for participants choosing one;
+// locale for the browser's speech recognition and synthesis; searchConfig is
+// the Postgres text search configuration transcripts are indexed with
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', locale: 'en-US', searchConfig: 'english' },
+  es: { name: 'Spanish', nativeName: 'Español', locale: 'es-ES', searchConfig: 'spanish' },
+};
+
+function isSupportedLanguage(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+function languageName(code) {
+  return isSupportedLanguage(code) ? LANGUAGES[code].name : code;
+}
+
+// What the participant's browser needs to know about a language
+function describeLanguage(code) {
+  const { nativeName, locale } = LANGUAGES[code];
+  return { code, nativeName, locale };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  isSupportedLanguage,
+  languageName,
+  describeLanguage,
+};
@@ -0,0 +1,237 @@
+// Live transcription over a WebSocket: the client streams MediaRecorder
+// chunks while the participant speaks and gets partial transcripts back to
+// show as captions, then the final transcription once they stop.
+//
+// Audio goes in binary frames; everything else is JSON text frames.
+//   client -> { type: 'start', token, latencyMs }  first, with the session token
+//   client -> (audio chunks)
+//   client -> { type: 'stop' }                     no more audio is coming
+//   server -> { type: 'ready' }                    token accepted
+//   server -> { type: 'partial', text }            captions so far
+//   server -> { type: 'queued', position }         waiting for the final run
+//   server -> { type: 'transcribing' }
+//   server -> { type: 'final', text, audioId }     then the server closes
+//   server -> { type: 'error', error, status }     then the server closes
+//
+// Partials re-transcribe a sliding window over the end of the recording.
+// MediaRecorder chunks only decode together, so each run converts everything
+// so far and skips to the window's start; once the window grows past
+// WINDOW_SECONDS, segments that ended well before its end are settled into
+// the caption text and the window moves past them. Partials are best-effort
+// and only run while the transcription pool has a free worker, so they never
+// hold up anyone's final transcription. The final transcription covers the
+// whole recording, exactly as if it had been uploaded.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const AUTH_TIMEOUT_MS = 10000;
+const PARTIAL_INTERVAL_MS = 1500;
+const WINDOW_SECONDS = 20;
+// Segments ending this close to the end of the audio heard so far may still
+// change as more speech arrives
+const SETTLE_SECONDS = 4;
+const MAX_CHUNK_BYTES = 1024 * 1024;
+// The 16kHz mono 16-bit WAVs from convertToWav
+const WAV_BYTES_PER_SECOND = 32000;
+
+// Dependencies come from server.js:
+//   pool            - the transcription pool (pool.js)
+//   provider        - the STT provider (stt.js)
+//   convertToWav    - (inputPath, signal, { startSeconds }) => wavPath
+//   transcribeFile  - ({ audioPath, sessionId, latencyMs, language }, signal) => { text, audioId }
+//   authenticate    - (sessionId, token) => whether the session token is valid
+//   sessionLanguage - (sessionId) => the language the session is held in
+//   tempDir         - where recordings are buffered on disk
+//   maxBytes        - the longest recording accepted, in bytes
+function createLiveTranscription({ pool, provider, convertToWav, transcribeFile, authenticate, sessionLanguage, tempDir, maxBytes }) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_CHUNK_BYTES });
+
+  function handleConnection(ws, sessionId) {
+    const base = path.join(tempDir, `live-${crypto.randomUUID()}`);
+    const controller = new AbortController(); // aborted when the socket closes
+    const chunks = [];
+    let bytes = 0;
+    let latencyMs = null;
+    let language = null;
+    let state = 'authenticating'; // -> 'recording' -> 'finishing' -> 'closed'
+    let partialTimer = null;
+    let partial = null; // AbortController of the partial run in progress
+    let partialBytes = 0; // how much audio the last partial covered
+    let snapshots = 0;
+    let settledText = '';
+    let windowStart = 0; // seconds
+
+    const send = message => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+    };
+    const fail = (error, status) => {
+      send({ type: 'error', error, status });
+      ws.close(status >= 500 ? 1011 : 1008);
+    };
+
+    const authTimer = setTimeout(() => fail('No session token received', 401), AUTH_TIMEOUT_MS);
+
+    // Transcribe the window of the audio so far and return the caption text
+    async function transcribeWindow(audio, signal) {
+      const snapshotPath = `${base}-${++snapshots}`;
+      let wavPath = null;
+      try {
+        await fs.promises.writeFile(snapshotPath, audio);
+        wavPath = await convertToWav(snapshotPath, signal, { startSeconds: windowStart });
+        const { size } = await fs.promises.stat(wavPath);
+        const duration = size / WAV_BYTES_PER_SECOND; // near enough; ignores the header
+        let { segments } = await provider.transcribe(wavPath, { signal, language });
+
+        if (duration > WINDOW_SECONDS) {
+          let settled = 0;
+          while (settled < segments.length && segments[settled].end <= duration - SETTLE_SECONDS) settled++;
+          if (settled > 0) {
+            settledText = [settledText, ...segments.slice(0, settled).map(s => s.text)].filter(Boolean).join(' ');
+            windowStart += segments[settled - 1].end;
+            segments = segments.slice(settled);
+          }
+        }
+        return [settledText, ...segments.map(s => s.text)].filter(Boolean).join(' ');
+      } finally {
+        fs.promises.unlink(snapshotPath).catch(() => {});
+        if (wavPath) fs.promises.unlink(wavPath).catch(() => {});
+      }
+    }
+
+    function runPartial() {
+      if (state !== 'recording' || partial || bytes === partialBytes || !pool.hasCapacity()) return;
+      const run = new AbortController();
+      partial = run;
+      partialBytes = bytes;
+      pool.run(signal => transcribeWindow(Buffer.concat(chunks), signal), { signal: run.signal })
+        .then(text => {
+          if (state === 'recording') send({ type: 'partial', text });
+        })
+        .catch(error => {
+          if (!run.signal.aborted) console.error('[live] Partial transcription failed:', error.message);
+        })
+        .finally(() => {
+          if (partial === run) partial = null;
+        });
+    }
+
+    async function start(message) {
+      clearTimeout(authTimer);
+      if (!await authenticate(sessionId, message.token)) {
+        fail('Invalid or expired session token', 401);
+        return;
+      }
+      language = await sessionLanguage(sessionId);
+      if (state !== 'authenticating') return; // closed meanwhile
+      if (!provider.supportsLanguage(language)) {
+        fail('Server transcription is not available in this language', 503);
+        return;
+      }
+      latencyMs = Number.isFinite(message.latencyMs) ? message.latencyMs : null;
+      state = 'recording';
+      partialTimer = setInterval(runPartial, PARTIAL_INTERVAL_MS);
+      send({ type: 'ready' });
+    }
+
+    function addAudio(data) {
+      bytes += data.length;
+      if (bytes > maxBytes) {
+        fail('Recording is too long', 413);
+        return;
+      }
+      chunks.push(data);
+    }
+
+    async function finish() {
+      state = 'finishing';
+      clearInterval(partialTimer);
+      if (partial) partial.abort();
+
+      if (bytes === 0) {
+        send({ type: 'final', text: '', audioId: null });
+        ws.close(1000);
+        return;
+      }
+
+      const audioPath = `${base}.webm`;
+      try {
+        await fs.promises.writeFile(audioPath, Buffer.concat(chunks));
+        const result = await pool.run(signal => transcribeFile({ audioPath, sessionId, latencyMs, language }, signal), {
+          signal: controller.signal,
+          onQueued: position => send({ type: 'queued', position }),
+          onStart: () => send({ type: 'transcribing' }),
+        });
+        send({ type: 'final', ...result });
+        ws.close(1000);
+      } catch (error) {
+        if (controller.signal.aborted) return; // the client has gone
+        if (error.code === 'QUEUE_FULL') {
+          fail('The server is busy transcribing; try again shortly', 429);
+        } else {
+          console.error('[live] Transcription error:', error.message);
+          fail('Transcription failed', 500);
+        }
+      } finally {
+        fs.promises.unlink(audioPath).catch(() => {});
+      }
+    }
+
+    async function handleMessage(data, isBinary) {
+      if (state === 'closed') return;
+      if (isBinary) {
+        if (state === 'recording') addAudio(data);
+        else fail('Unexpected audio', 400);
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        fail('Invalid message', 400);
+        return;
+      }
+      if (message.type === 'start' && state === 'authenticating') await start(message);
+      else if (message.type === 'stop' && state === 'recording') await finish();
+      else fail('Unexpected message', 400);
+    }
+
+    // One message at a time, so audio sent right after `start` waits for the
+    // token check
+    let handling = Promise.resolve();
+    ws.on('message', (data, isBinary) => {
+      handling = handling.then(() => handleMessage(data, isBinary)).catch(error => {
+        console.error('[live] Error:', error);
+        fail('Live transcription failed', 500);
+      });
+    });
+
+    ws.on('close', () => {
+      state = 'closed';
+      clearTimeout(authTimer);
+      clearInterval(partialTimer);
+      controller.abort();
+      if (partial) partial.abort();
+    });
+
+    ws.on('error', error => console.error('[live] Socket error:', error.message));
+  }
+
+  // Take over an HTTP upgrade request for the given session
+  function handleUpgrade(req, socket, head, sessionId) {
+    wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, sessionId));
+  }
+
+  // Disconnect everyone (on shutdown); their work is cancelled
+  function close() {
+    for (const ws of wss.clients) ws.close(1001, 'Server shutting down');
+  }
+
+  return { handleUpgrade, close };
+}
+
+module.exports = {
+  createLiveTranscription,
+};
@@ -0,0 +1,39 @@
+exports.up = (pgm) => {
+  // Analysis jobs table (one row per analysis run, latest row is current)
+  pgm.createTable('analysis_jobs', {
+    id: { type: 'serial', primaryKey: true },
+    session_id: {
+      type: 'text',
+      notNull: true,
+      references: 'sessions(id)',
+      onDelete: 'CASCADE',
+    },
+    status: { type: 'text', notNull: true, default: 'queued' },
+    attempts: { type: 'integer', notNull: true, default: 0 },
+    last_error: { type: 'text' },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+    started_at: { type: 'timestamptz' },
+    finished_at: { type: 'timestamptz' },
+  });
+
+  pgm.addConstraint('analysis_jobs', 'analysis_jobs_status_check', {
+    check: "status IN ('queued', 'running', 'succeeded', 'failed')",
+  });
+
+  pgm.createIndex('analysis_jobs', ['session_id', 'created_at']);
+
+  // At most one queued or running job per session (see queueAnalysisJob)
+  pgm.createIndex('analysis_jobs', ['session_id'], {
+    name: 'analysis_jobs_one_active_per_session',
+    unique: true,
+    where: "status IN ('queued', 'running')",
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('analysis_jobs');
+};
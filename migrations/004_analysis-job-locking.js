@@ -0,0 +1,17 @@
+exports.up = (pgm) => {
+  // Heartbeat for running jobs; a stale lock means the worker died mid-job
+  pgm.addColumns('analysis_jobs', {
+    locked_at: { type: 'timestamptz' },
+  });
+
+  // Workers poll for queued and stale running jobs
+  pgm.createIndex('analysis_jobs', ['created_at'], {
+    name: 'analysis_jobs_pending_index',
+    where: "status IN ('queued', 'running')",
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('analysis_jobs', ['created_at'], { name: 'analysis_jobs_pending_index' });
+  pgm.dropColumns('analysis_jobs', ['locked_at']);
+};
@@ -0,0 +1,59 @@
+exports.up = (pgm) => {
+  // Participants taking assessments (cohort is a free-form class/group name)
+  pgm.createTable('participants', {
+    id: { type: 'text', primaryKey: true },
+    name: { type: 'text', notNull: true },
+    external_id: { type: 'text', unique: true },
+    cohort: { type: 'text' },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.createIndex('participants', ['cohort']);
+
+  // Sessions started from an invite belong to its participant
+  pgm.addColumns('sessions', {
+    participant_id: {
+      type: 'text',
+      references: 'participants(id)',
+      onDelete: 'SET NULL',
+    },
+  });
+
+  pgm.createIndex('sessions', ['participant_id']);
+
+  // Single-use invites binding a participant to a preassigned scenario
+  pgm.createTable('invites', {
+    code: { type: 'text', primaryKey: true },
+    participant_id: {
+      type: 'text',
+      notNull: true,
+      references: 'participants(id)',
+      onDelete: 'CASCADE',
+    },
+    scenario_id: { type: 'text', notNull: true },
+    session_id: {
+      type: 'text',
+      references: 'sessions(id)',
+      onDelete: 'SET NULL',
+    },
+    expires_at: { type: 'timestamptz' },
+    used_at: { type: 'timestamptz' },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.createIndex('invites', ['participant_id']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('invites');
+  pgm.dropColumns('sessions', ['participant_id']);
+  pgm.dropTable('participants');
+};
@@ -0,0 +1,20 @@
+exports.up = (pgm) => {
+  // Full-text search over transcript content for the admin session search
+  pgm.sql(`
+    CREATE INDEX transcript_messages_content_search_index
+    ON transcript_messages USING GIN (to_tsvector('english', content))
+  `);
+
+  // Keyset pagination orders by (created_at, id)
+  pgm.dropIndex('sessions', ['created_at']);
+  pgm.createIndex('sessions', ['created_at', 'id']);
+
+  pgm.createIndex('sessions', ['scenario_id']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('sessions', ['scenario_id']);
+  pgm.dropIndex('sessions', ['created_at', 'id']);
+  pgm.createIndex('sessions', ['created_at']);
+  pgm.sql('DROP INDEX transcript_messages_content_search_index');
+};
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeLiteral } = require('pg');
+
+const SEED_DIR = path.join(__dirname, '..', 'data', 'scenarios');
+
+exports.up = (pgm) => {
+  // Scenarios (current_version points into scenario_versions)
+  pgm.createTable('scenarios', {
+    id: { type: 'text', primaryKey: true },
+    current_version: { type: 'integer', notNull: true },
+    archived_at: { type: 'timestamptz' },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+    updated_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  // Immutable scenario definitions; every edit adds a version
+  pgm.createTable('scenario_versions', {
+    scenario_id: {
+      type: 'text',
+      notNull: true,
+      references: 'scenarios(id)',
+      onDelete: 'CASCADE',
+    },
+    version: { type: 'integer', notNull: true },
+    definition: { type: 'jsonb', notNull: true },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.addConstraint('scenario_versions', 'scenario_versions_pkey', {
+    primaryKey: ['scenario_id', 'version'],
+  });
+
+  // Seed version 1 of each scenario from the JSON files. Values are escaped
+  // inline: pgm.sql() quotes string arguments as identifiers
+  const files = fs.existsSync(SEED_DIR) ? fs.readdirSync(SEED_DIR).filter(f => f.endsWith('.json')) : [];
+  for (const file of files) {
+    const scenario = JSON.parse(fs.readFileSync(path.join(SEED_DIR, file), 'utf-8'));
+    const { id, ...definition } = scenario;
+    pgm.sql(`INSERT INTO scenarios (id, current_version) VALUES (${escapeLiteral(id)}, 1)`);
+    pgm.sql(`
+      INSERT INTO scenario_versions (scenario_id, version, definition)
+      VALUES (${escapeLiteral(id)}, 1, ${escapeLiteral(JSON.stringify(definition))}::jsonb)
+    `);
+  }
+
+  // Sessions record the exact scenario version they ran against; existing
+  // sessions ran against the seeded definitions
+  pgm.addColumns('sessions', {
+    scenario_version: { type: 'integer' },
+  });
+  pgm.sql(`
+    UPDATE sessions s SET scenario_version = 1
+    WHERE EXISTS (SELECT 1 FROM scenarios sc WHERE sc.id = s.scenario_id)
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('sessions', ['scenario_version']);
+  pgm.dropTable('scenario_versions');
+  pgm.dropTable('scenarios');
+};
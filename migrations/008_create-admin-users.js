@@ -0,0 +1,52 @@
+exports.up = (pgm) => {
+  // Staff accounts for the admin dashboard
+  pgm.createTable('admin_users', {
+    id: { type: 'text', primaryKey: true },
+    email: { type: 'text', notNull: true },
+    name: { type: 'text', notNull: true },
+    password_hash: { type: 'text', notNull: true },
+    role: { type: 'text', notNull: true },
+    disabled_at: { type: 'timestamptz' },
+    last_login_at: { type: 'timestamptz' },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.addConstraint('admin_users', 'admin_users_role_check', {
+    check: "role IN ('owner', 'assessor', 'viewer')",
+  });
+
+  // Emails are matched case-insensitively
+  pgm.createIndex('admin_users', 'LOWER(email)', {
+    name: 'admin_users_email_unique_index',
+    unique: true,
+  });
+
+  // Server-side login sessions; only a hash of the bearer token is stored
+  pgm.createTable('admin_sessions', {
+    token_hash: { type: 'text', primaryKey: true },
+    user_id: {
+      type: 'text',
+      notNull: true,
+      references: 'admin_users(id)',
+      onDelete: 'CASCADE',
+    },
+    expires_at: { type: 'timestamptz', notNull: true },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.createIndex('admin_sessions', ['user_id']);
+  pgm.createIndex('admin_sessions', ['expires_at']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('admin_sessions');
+  pgm.dropTable('admin_users');
+};
@@ -0,0 +1,12 @@
+exports.up = (pgm) => {
+  // Participant access to a single session. Only a hash of the token handed
+  // out when the session was created is stored.
+  pgm.addColumns('sessions', {
+    access_token_hash: { type: 'text' },
+    access_token_expires_at: { type: 'timestamptz' },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('sessions', ['access_token_hash', 'access_token_expires_at']);
+};
@@ -0,0 +1,51 @@
+exports.up = (pgm) => {
+  // Append-only record of staff access and changes. No foreign keys, so
+  // entries outlive the sessions, participants and users they mention; the
+  // actor's email is copied in for the same reason.
+  pgm.createTable('audit_log', {
+    id: { type: 'bigserial', primaryKey: true },
+    actor_id: { type: 'text' },
+    actor_email: { type: 'text' },
+    action: { type: 'text', notNull: true },
+    target_type: { type: 'text' },
+    target_id: { type: 'text' },
+    session_id: { type: 'text' },
+    status: { type: 'integer' },
+    ip: { type: 'text' },
+    details: { type: 'jsonb' },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.createIndex('audit_log', ['created_at']);
+  pgm.createIndex('audit_log', ['actor_id', 'id']);
+  pgm.createIndex('audit_log', ['session_id', 'id']);
+  pgm.createIndex('audit_log', ['action', 'id']);
+
+  // Reject edits and deletes so the log can only grow
+  pgm.sql(`
+    CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  pgm.sql(`
+    CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+  `);
+  pgm.sql(`
+    CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('audit_log');
+  pgm.sql('DROP FUNCTION audit_log_append_only()');
+};
@@ -0,0 +1,10 @@
+exports.up = (pgm) => {
+  // Set when the retention sweeper strips a session down to its scores
+  pgm.addColumns('sessions', {
+    anonymized_at: { type: 'timestamptz' },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('sessions', ['anonymized_at']);
+};
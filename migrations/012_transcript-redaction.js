@@ -0,0 +1,11 @@
+exports.up = (pgm) => {
+  // content holds the redacted text; the original is only kept (encrypted)
+  // when something was redacted and an encryption key is configured
+  pgm.addColumns('transcript_messages', {
+    original_encrypted: { type: 'text' },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('transcript_messages', ['original_encrypted']);
+};
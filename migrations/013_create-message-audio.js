@@ -0,0 +1,37 @@
+exports.up = (pgm) => {
+  // Compressed recordings of participant turns, kept when RECORD_AUDIO is on.
+  // A recording is saved when it's transcribed and linked to its message once
+  // the turn is recorded; unlinked ones are cleared by the retention sweeper.
+  pgm.createTable('message_audio', {
+    id: { type: 'uuid', primaryKey: true },
+    session_id: {
+      type: 'text',
+      notNull: true,
+      references: 'sessions(id)',
+      onDelete: 'CASCADE',
+    },
+    message_id: {
+      type: 'integer',
+      references: 'transcript_messages(id)',
+      onDelete: 'CASCADE',
+    },
+    mime_type: { type: 'text', notNull: true },
+    audio: { type: 'bytea', notNull: true },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.createIndex('message_audio', ['message_id'], { unique: true });
+  pgm.createIndex('message_audio', ['session_id']);
+
+  // The audio is already compressed; storing it uncompressed out of line lets
+  // range requests read a slice without decompressing the whole value
+  pgm.sql('ALTER TABLE message_audio ALTER COLUMN audio SET STORAGE EXTERNAL');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('message_audio');
+};
@@ -0,0 +1,32 @@
+exports.up = (pgm) => {
+  // Delivery metrics measured from the audio of a spoken participant turn.
+  // Saved at transcription and linked to the message once the turn is
+  // recorded, sharing its id with the turn's recording (if one was kept).
+  pgm.createTable('message_speech', {
+    id: { type: 'uuid', primaryKey: true },
+    session_id: {
+      type: 'text',
+      notNull: true,
+      references: 'sessions(id)',
+      onDelete: 'CASCADE',
+    },
+    message_id: {
+      type: 'integer',
+      references: 'transcript_messages(id)',
+      onDelete: 'CASCADE',
+    },
+    delivery: { type: 'jsonb', notNull: true },
+    created_at: {
+      type: 'timestamptz',
+      notNull: true,
+      default: pgm.func('NOW()'),
+    },
+  });
+
+  pgm.createIndex('message_speech', ['message_id'], { unique: true });
+  pgm.createIndex('message_speech', ['session_id']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('message_speech');
+};
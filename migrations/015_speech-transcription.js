@@ -0,0 +1,15 @@
+exports.up = (pgm) => {
+  // Whisper's segments and per-word timing and confidence for a spoken turn,
+  // redacted like the message. Either this or the delivery metrics may be
+  // missing if producing it failed.
+  pgm.addColumns('message_speech', {
+    transcription: { type: 'jsonb' },
+  });
+  pgm.alterColumn('message_speech', 'delivery', { notNull: false });
+};
+
+exports.down = (pgm) => {
+  pgm.sql('DELETE FROM message_speech WHERE delivery IS NULL');
+  pgm.alterColumn('message_speech', 'delivery', { notNull: true });
+  pgm.dropColumns('message_speech', ['transcription']);
+};
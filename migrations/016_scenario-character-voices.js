@@ -0,0 +1,66 @@
+// Give the seeded scenarios' characters their own voices (see tts.js). The
+// seed files only create version 1 on a fresh database, so this adds each
+// voice as a new version instead; sessions already run keep the version they
+// ran against. Scenarios staff have already given a voice are left alone.
+//
+// Piper voices aren't set, since which are installed differs per server;
+// Piper uses TTS_VOICE for every character.
+const { escapeLiteral } = require('pg');
+
+const VOICES = {
+  'initiative-effort': {
+    elevenlabs: { voiceId: 'TxGEqnHWrfWFTfGW9XTX' },
+    espeak: { voice: 'en-us+m3' },
+    browser: { lang: 'en-US', rate: 1.05 },
+  },
+  'professionalism-expectations': {
+    elevenlabs: { voiceId: 'MF3mGyEYCl7XYWbV9V5O' },
+    espeak: { voice: 'en-us+f4' },
+    browser: { lang: 'en-US', pitch: 1.3 },
+  },
+  'punctuality-attendance': {
+    elevenlabs: { voiceId: '21m00Tcm4TlvDq8ikWAM' },
+    espeak: { voice: 'en-us+f2' },
+    browser: { lang: 'en-US', pitch: 1.1 },
+  },
+  'teamwork-cooperation': {
+    elevenlabs: { voiceId: 'VR6AewLTigWG4xSOukaG' },
+    espeak: { voice: 'en-us+m7', pitch: 35 },
+    browser: { lang: 'en-US', pitch: 0.8 },
+  },
+  'time-stress-management': {
+    elevenlabs: { voiceId: 'ErXwobaYiN019PkySvjV' },
+    espeak: { voice: 'en-us+m2' },
+    browser: { lang: 'en-US', rate: 0.95 },
+  },
+  'workplace-communication': {
+    elevenlabs: { voiceId: 'AZnzlk1XvdvUeBnXmlld' },
+    espeak: { voice: 'en-us+f5' },
+    browser: { lang: 'en-US', pitch: 1.1 },
+  },
+  'workplace-conflict': {
+    elevenlabs: { voiceId: 'EXAVITQu4vr4xnSDxMaL' },
+    espeak: { voice: 'en-us+f3' },
+    browser: { lang: 'en-US', pitch: 1.2 },
+  },
+};
+
+exports.up = (pgm) => {
+  for (const [id, voice] of Object.entries(VOICES)) {
+    pgm.sql(`
+      WITH added AS (
+        INSERT INTO scenario_versions (scenario_id, version, definition)
+        SELECT s.id, s.current_version + 1, v.definition || jsonb_build_object('voice', ${escapeLiteral(JSON.stringify(voice))}::jsonb)
+        FROM scenarios s
+        JOIN scenario_versions v ON v.scenario_id = s.id AND v.version = s.current_version
+        WHERE s.id = ${escapeLiteral(id)} AND NOT v.definition ? 'voice'
+        RETURNING scenario_id, version
+      )
+      UPDATE scenarios s SET current_version = added.version, updated_at = NOW()
+      FROM added WHERE s.id = added.scenario_id
+    `);
+  }
+};
+
+// The added versions stay: they're history, and staff may have built on them
+exports.down = () => {};
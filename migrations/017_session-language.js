@@ -0,0 +1,29 @@
+exports.up = (pgm) => {
+  // The language the participant chose for the conversation. Sessions before
+  // this were all held in English.
+  pgm.addColumns('sessions', {
+    language: { type: 'text', notNull: true, default: 'en' },
+  });
+
+  // Index each message with its session language's text search config (see
+  // languages.js) rather than always English, so Spanish transcripts are
+  // stemmed as Spanish
+  pgm.addColumns('transcript_messages', {
+    search_config: { type: 'regconfig', notNull: true, default: 'english' },
+  });
+  pgm.sql('DROP INDEX transcript_messages_content_search_index');
+  pgm.sql(`
+    CREATE INDEX transcript_messages_content_search_index
+    ON transcript_messages USING GIN (to_tsvector(search_config, content))
+  `);
+};
+
+exports.down = (pgm) => {
+  pgm.sql('DROP INDEX transcript_messages_content_search_index');
+  pgm.sql(`
+    CREATE INDEX transcript_messages_content_search_index
+    ON transcript_messages USING GIN (to_tsvector('english', content))
+  `);
+  pgm.dropColumns('transcript_messages', ['search_config']);
+  pgm.dropColumns('sessions', ['language']);
+};
@@ -0,0 +1,82 @@
+// Translate the seeded scenarios into Spanish (see scenarios.js). Like the
+// voices in 016, each translation is added as a new version, since the seed
+// files only create version 1. Scenarios staff have already translated into
+// Spanish are left alone. The system prompts and rubrics stay in English.
+const { escapeLiteral } = require('pg');
+
+const TRANSLATIONS = {
+  'initiative-effort': {
+    name: 'Iniciativa y esfuerzo',
+    description: 'Abordar la negativa de un compañero nuevo a completar las tareas asignadas',
+    characterName: 'Compañero nuevo',
+    initialMessage: '¿Qué tal? ¿Qué pasa?',
+    voice: { espeak: { voice: 'es+m3' }, browser: { lang: 'es-ES', rate: 1.05 } },
+  },
+  'professionalism-expectations': {
+    name: 'Profesionalismo y expectativas laborales',
+    description: 'Orientar a una persona joven que está a punto de empezar su primer trabajo',
+    characterName: 'Aprendiz',
+    initialMessage: 'Oye, pronto empiezo mi primer trabajo y estoy un poco nervioso. ¿Me puedes dar algún consejo?',
+    voice: { espeak: { voice: 'es+f4' }, browser: { lang: 'es-ES', pitch: 1.3 } },
+  },
+  'punctuality-attendance': {
+    name: 'Puntualidad y asistencia',
+    description: 'Abordar los retrasos reiterados de un empleado y un incidente reciente',
+    characterName: 'Supervisora',
+    initialMessage: 'Hola, ¿podemos hablar un momento? Quería retomar nuestra última conversación sobre tu asistencia. Me he fijado en que hoy has llegado unos 30 minutos tarde. ¿Me puedes contar qué ha pasado?',
+    voice: { espeak: { voice: 'es+f2' }, browser: { lang: 'es-ES', pitch: 1.1 } },
+  },
+  'teamwork-cooperation': {
+    name: 'Trabajo en equipo y cooperación',
+    description: 'Un jefe de equipo aborda los conflictos entre miembros del equipo',
+    characterName: 'Supervisor',
+    initialMessage: '¿Y qué quieres que haga yo? Tengo trabajo de verdad que hacer. Encárgate tú.',
+    voice: { espeak: { voice: 'es+m7', pitch: 35 }, browser: { lang: 'es-ES', pitch: 0.8 } },
+  },
+  'time-stress-management': {
+    name: 'Gestión del tiempo y del estrés',
+    description: 'Reunión por un plazo de certificación incumplido',
+    characterName: 'Representante de Recursos Humanos',
+    initialMessage: 'Siéntate. Tenemos que hablar de los requisitos de tu certificación. Han pasado 3 semanas y todavía no te has apuntado a las clases. ¿Qué está pasando?',
+    voice: { espeak: { voice: 'es+m2' }, browser: { lang: 'es-ES', rate: 0.95 } },
+  },
+  'workplace-communication': {
+    name: 'Comunicación en el trabajo',
+    description: 'Abordar el trabajo que queda sin terminar entre turnos',
+    characterName: 'Empleada del primer turno',
+    initialMessage: 'Oye, ¿qué quieres?',
+    voice: { espeak: { voice: 'es+f5' }, browser: { lang: 'es-ES', pitch: 1.1 } },
+  },
+  'workplace-conflict': {
+    name: 'Conflicto laboral',
+    description: 'Un escenario en el que el participante debe abordar un problema de desempeño con una compañera de trabajo',
+    characterName: 'Sara (compañera de trabajo del participante)',
+    initialMessage: 'Oye, quería hablar contigo de algo. Me han dicho que has tenido algunos problemas con el equipo últimamente. ¿Podemos hablar?',
+    voice: { espeak: { voice: 'es+f3' }, browser: { lang: 'es-ES', pitch: 1.2 } },
+  },
+};
+
+exports.up = (pgm) => {
+  for (const [id, translation] of Object.entries(TRANSLATIONS)) {
+    pgm.sql(`
+      WITH added AS (
+        INSERT INTO scenario_versions (scenario_id, version, definition)
+        SELECT s.id, s.current_version + 1, jsonb_set(
+          v.definition,
+          '{translations}',
+          COALESCE(v.definition->'translations', '{}'::jsonb)
+            || jsonb_build_object('es', ${escapeLiteral(JSON.stringify(translation))}::jsonb)
+        )
+        FROM scenarios s
+        JOIN scenario_versions v ON v.scenario_id = s.id AND v.version = s.current_version
+        WHERE s.id = ${escapeLiteral(id)} AND NOT COALESCE(v.definition->'translations' ? 'es', false)
+        RETURNING scenario_id, version
+      )
+      UPDATE scenarios s SET current_version = added.version, updated_at = NOW()
+      FROM added WHERE s.id = added.scenario_id
+    `);
+  }
+};
+
+// As in 016, the added versions stay
+exports.down = () => {};
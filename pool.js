@@ -0,0 +1,126 @@
+// Bounded worker pool with a FIFO queue, for CPU-heavy work (transcription)
+// that would thrash the machine if every request ran at once.
+//
+// Tasks get an AbortSignal; aborting a queued task removes it from the queue,
+// and a running task is expected to stop its own work (e.g. by passing the
+// signal to execFile). Wait and processing times of recent tasks are kept for
+// metrics().
+
+const STATS_WINDOW = 200;
+
+function abortError() {
+  return Object.assign(new Error('Cancelled'), { name: 'AbortError' });
+}
+
+// Median, 95th percentile and max of a list of durations in ms
+function summarizeDurations(values) {
+  if (values.length === 0) return { count: 0, p50: null, p95: null, max: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+  return { count: sorted.length, p50: at(0.5), p95: at(0.95), max: sorted[sorted.length - 1] };
+}
+
+function createWorkPool({ concurrency, maxQueued }) {
+  const queue = []; // entries waiting to start, oldest first
+  let running = 0;
+  const totals = { completed: 0, failed: 0, cancelled: 0, rejected: 0 };
+  const waits = [];
+  const runs = [];
+
+  const remember = (list, value) => {
+    list.push(value);
+    if (list.length > STATS_WINDOW) list.shift();
+  };
+
+  function notifyPositions() {
+    queue.forEach((entry, i) => {
+      if (entry.position !== i + 1) {
+        entry.position = i + 1;
+        entry.onQueued(entry.position);
+      }
+    });
+  }
+
+  function start(entry) {
+    running++;
+    const startedAt = Date.now();
+    remember(waits, startedAt - entry.queuedAt);
+    entry.onStart();
+    Promise.resolve()
+      .then(() => entry.task(entry.signal))
+      .then(
+        result => {
+          totals.completed++;
+          entry.resolve(result);
+        },
+        error => {
+          if (entry.signal.aborted) totals.cancelled++;
+          else totals.failed++;
+          entry.reject(error);
+        }
+      )
+      .finally(() => {
+        remember(runs, Date.now() - startedAt);
+        running--;
+        drain();
+      });
+  }
+
+  function drain() {
+    while (running < concurrency && queue.length > 0) {
+      const entry = queue.shift();
+      entry.signal.removeEventListener('abort', entry.onAbort);
+      start(entry);
+    }
+    notifyPositions();
+  }
+
+  // Queue task(signal) and resolve to its result. onQueued(position) is
+  // called whenever the task's place in line changes (1 = next to start) and
+  // onStart() when it starts. Rejects with code QUEUE_FULL if maxQueued tasks
+  // are already waiting, or an AbortError if the signal aborts first.
+  function run(task, { signal = new AbortController().signal, onQueued = () => {}, onStart = () => {} } = {}) {
+    if (signal.aborted) return Promise.reject(abortError());
+    if (running >= concurrency && queue.length >= maxQueued) {
+      totals.rejected++;
+      return Promise.reject(Object.assign(new Error('Queue is full'), { code: 'QUEUE_FULL' }));
+    }
+    return new Promise((resolve, reject) => {
+      const entry = { task, signal, onQueued, onStart, resolve, reject, queuedAt: Date.now(), position: null };
+      entry.onAbort = () => {
+        const index = queue.indexOf(entry);
+        if (index === -1) return;
+        queue.splice(index, 1);
+        totals.cancelled++;
+        reject(abortError());
+        notifyPositions();
+      };
+      signal.addEventListener('abort', entry.onAbort, { once: true });
+      queue.push(entry);
+      drain();
+    });
+  }
+
+  // Whether a task run now would start straight away
+  function hasCapacity() {
+    return running < concurrency && queue.length === 0;
+  }
+
+  function metrics() {
+    return {
+      concurrency,
+      maxQueued,
+      running,
+      queued: queue.length,
+      ...totals,
+      waitMs: summarizeDurations(waits),
+      processingMs: summarizeDurations(runs),
+    };
+  }
+
+  return { run, hasCapacity, metrics };
+}
+
+module.exports = {
+  createWorkPool,
+};
@@ -19,41 +19,77 @@ function authHeaders() {
   return token ? { 'Authorization': `Bearer ${token}` } : {};
 }
 
-function showDashboard() {
+// The signed-in staff user ({ id, email, name, role })
+let currentUser = null;
+
+// Lowest privilege first, matching the server
+const ROLE_ORDER = ['viewer', 'assessor', 'owner'];
+
+function hasRole(minimum) {
+  return Boolean(currentUser) && ROLE_ORDER.indexOf(currentUser.role) >= ROLE_ORDER.indexOf(minimum);
+}
+
+// Hide controls the user's role can't use. The server enforces roles too;
+// this just keeps viewers from clicking buttons that would fail.
+function applyRolePermissions() {
+  document.querySelectorAll('[data-min-role]').forEach(el => {
+    el.classList.toggle('hidden', !hasRole(el.dataset.minRole));
+  });
+}
+
+function showDashboard(user) {
+  currentUser = user;
   document.getElementById('login-screen').classList.add('hidden');
   document.getElementById('dashboard').classList.remove('hidden');
-  document.getElementById('logout-btn').classList.remove('hidden');
+  document.getElementById('account-menu').classList.remove('hidden');
+  document.getElementById('account-name').textContent = `${user.name} · ${user.role}`;
+  applyRolePermissions();
+  switchView('sessions');
+  loadSessions();
+  loadCohorts();
+  loadScenarioFilter();
 }
 
 function showLoginScreen(errorMessage) {
   document.getElementById('dashboard').classList.add('hidden');
-  document.getElementById('logout-btn').classList.add('hidden');
+  document.getElementById('account-menu').classList.add('hidden');
+  document.getElementById('password-form').classList.add('hidden');
   document.getElementById('login-screen').classList.remove('hidden');
 
   const errorEl = document.getElementById('login-error');
-  const input = document.getElementById('login-token');
+  const emailInput = document.getElementById('login-email');
+  const passwordInput = document.getElementById('login-password');
 
-  if (errorMessage) {
-    errorEl.textContent = errorMessage;
-    input.classList.add('error');
-  } else {
-    errorEl.textContent = '';
-    input.classList.remove('error');
-  }
+  errorEl.textContent = errorMessage || '';
+  passwordInput.classList.toggle('error', Boolean(errorMessage));
 
-  input.value = '';
-  input.focus();
+  passwordInput.value = '';
+  (emailInput.value ? passwordInput : emailInput).focus();
 }
 
-function logout() {
+// Clear everything tied to the signed-in user and show the login screen
+function resetDashboard(errorMessage) {
   clearAdminToken();
+  currentUser = null;
   // Clear any active polling
   if (analysisPollTimer) {
-    clearInterval(analysisPollTimer);
+    clearTimeout(analysisPollTimer);
     analysisPollTimer = null;
   }
+  selectedSessionId = null;
   allSessions = [];
-  showLoginScreen();
+  sessionsNextCursor = null;
+  adminScenarios = null;
+  showLoginScreen(errorMessage);
+}
+
+async function logout() {
+  try {
+    await fetch(`${API_URL}/admin/logout`, { method: 'POST', headers: authHeaders() });
+  } catch (err) {
+    console.warn('Logout request failed:', err);
+  }
+  resetDashboard();
 }
 
 // ---- Login form ----
@@ -61,68 +97,105 @@ function logout() {
 document.getElementById('login-form').addEventListener('submit', async (e) => {
   e.preventDefault();
 
-  const input = document.getElementById('login-token');
+  const email = document.getElementById('login-email').value.trim();
+  const passwordInput = document.getElementById('login-password');
   const btn = document.getElementById('login-btn');
-  const token = input.value.trim();
+  const errorEl = document.getElementById('login-error');
 
-  if (!token) {
-    document.getElementById('login-error').textContent = 'Please enter a token.';
-    input.classList.add('error');
+  if (!email || !passwordInput.value) {
+    errorEl.textContent = 'Please enter your email and password.';
     return;
   }
 
   btn.disabled = true;
   btn.textContent = 'Signing in...';
 
-  setAdminToken(token);
-
   try {
-    const response = await fetch(`${API_URL}/admin/sessions`, { headers: authHeaders() });
-
-    if (response.status === 401) {
-      clearAdminToken();
-      btn.disabled = false;
-      btn.textContent = 'Sign In';
-      document.getElementById('login-error').textContent = 'Invalid token. Please try again.';
-      input.classList.add('error');
-      input.select();
-      return;
-    }
-
-    if (response.status === 503) {
-      clearAdminToken();
-      btn.disabled = false;
-      btn.textContent = 'Sign In';
-      document.getElementById('login-error').textContent = 'Admin access is not configured on the server.';
-      input.classList.add('error');
-      return;
-    }
+    const response = await fetch(`${API_URL}/admin/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password: passwordInput.value })
+    });
+    const result = await response.json();
 
     if (!response.ok) {
-      throw new Error('Unexpected error');
+      errorEl.textContent = result.error || 'Sign in failed. Please try again.';
+      passwordInput.classList.add('error');
+      passwordInput.select();
+      return;
     }
 
-    // Token is valid -- show the dashboard and render sessions
-    const sessions = await response.json();
-    showDashboard();
-    renderSessions(sessions);
+    setAdminToken(result.token);
+    passwordInput.value = '';
+    passwordInput.classList.remove('error');
+    errorEl.textContent = '';
+    showDashboard(result.user);
   } catch (error) {
     console.error('Login error:', error);
-    clearAdminToken();
+    errorEl.textContent = 'Connection error. Please try again.';
+  } finally {
     btn.disabled = false;
     btn.textContent = 'Sign In';
-    document.getElementById('login-error').textContent = 'Connection error. Please try again.';
   }
 });
 
 document.getElementById('logout-btn').addEventListener('click', logout);
 
+// ---- Change password ----
+
+const passwordForm = document.getElementById('password-form');
+
+document.getElementById('password-btn').addEventListener('click', () => {
+  passwordForm.classList.toggle('hidden');
+  document.getElementById('current-password').focus();
+});
+
+document.getElementById('password-cancel').addEventListener('click', () => {
+  passwordForm.reset();
+  passwordForm.classList.add('hidden');
+});
+
+passwordForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const errorEl = document.getElementById('password-error');
+  errorEl.textContent = '';
+  try {
+    const response = await fetch(`${API_URL}/admin/me/password`, {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        currentPassword: document.getElementById('current-password').value,
+        newPassword: document.getElementById('new-password').value
+      })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      errorEl.textContent = result.error || 'Failed to change password';
+      return;
+    }
+    passwordForm.reset();
+    // Changing the password ends every session, including this one
+    resetDashboard('Password changed. Please sign in again.');
+  } catch (error) {
+    console.error('Failed to change password:', error);
+    errorEl.textContent = 'Connection error. Please try again.';
+  }
+});
+
 // ---- State ----
 
 let allSessions = [];
+let sessionsNextCursor = null;
+let selectedSessionId = null;
 let analysisPollTimer = null;
-let pollAttempts = 0;
-const MAX_POLL_ATTEMPTS = 60; // 3 minutes at 3s intervals
+const ANALYSIS_POLL_INTERVAL = 3000;
+
+const LEGACY_DIMENSIONS = [
+  { key: 'conflictResolution', label: 'Conflict Resolution' },
+  { key: 'professionalism', label: 'Professionalism' },
+  { key: 'articulation', label: 'Articulation' },
+  { key: 'learning', label: 'Learning & Growth' }
+];
 
 // ---- Utilities ----
 
@@ -136,15 +209,42 @@ function escapeHtml(str) {
     .replace(/'/g, '&#039;');
 }
 
+// English name of a language code, e.g. "es" -> "Spanish"
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code);
+  } catch (err) {
+    return code;
+  }
+}
+
+// Analysis text, with its English translation (if any) shown instead when
+// "Show feedback in English" is checked
+function withTranslation(text, english) {
+  if (!english) return escapeHtml(text);
+  return `<span class="original-text">${escapeHtml(text)}</span><span class="english-text">${escapeHtml(english)}</span>`;
+}
+
 // ---- Sessions ----
 
-function renderSessions(sessions) {
-  allSessions = sessions.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+const STATUS_LABELS = {
+  succeeded: 'Analyzed',
+  queued: 'Queued',
+  running: 'Running',
+  failed: 'Failed',
+  none: 'Not analyzed'
+};
+
+// Render a page of sessions from the API, replacing the list or appending to it
+function renderSessions(page, append = false) {
+  allSessions = append ? allSessions.concat(page.sessions) : page.sessions;
+  sessionsNextCursor = page.nextCursor;
 
   const list = document.getElementById('sessions-list');
+  document.getElementById('load-more-btn').classList.toggle('hidden', !sessionsNextCursor);
 
   if (allSessions.length === 0) {
-    list.innerHTML = '<div class="no-sessions">No sessions yet</div>';
+    list.innerHTML = `<div class="no-sessions">${hasSessionFilters() ? 'No sessions match these filters' : 'No sessions yet'}</div>`;
     return;
   }
 
@@ -158,9 +258,13 @@ function renderSessions(sessions) {
     });
 
     return `
-      <div class="session-item" data-id="${escapeHtml(s.id)}">
-        <div class="session-id">Session #${escapeHtml(String(s.id).slice(-6))}</div>
-        <div class="session-date">${escapeHtml(dateStr)}</div>
+      <div class="session-item${s.id === selectedSessionId ? ' active' : ''}" data-id="${escapeHtml(s.id)}">
+        <div class="session-id">${escapeHtml(sessionTitle(s))}</div>
+        ${s.cohort || s.participant_external_id ? `<div class="session-participant">${escapeHtml([s.participant_external_id, s.cohort].filter(Boolean).join(' · '))}</div>` : ''}
+        <div class="session-meta">
+          <span class="session-date">${escapeHtml(dateStr)}</span>
+          <span class="status-badge ${escapeHtml(s.analysis_status)}">${escapeHtml(s.overall_score != null ? `${s.overall_score}/5` : STATUS_LABELS[s.analysis_status] || s.analysis_status)}</span>
+        </div>
         <div class="session-summary">${escapeHtml(s.summary || 'No transcript yet')}</div>
       </div>
     `;
@@ -172,19 +276,65 @@ function renderSessions(sessions) {
   });
 }
 
-async function loadSessions() {
+// Participant name if the session came from an invite, otherwise the short ID
+function sessionTitle(session) {
+  const shortId = `#${String(session.id).slice(-6)}`;
+  return session.participant_name ? `${session.participant_name} ${shortId}` : `Session ${shortId}`;
+}
+
+// Filter inputs and the query parameter each one maps to
+const SESSION_FILTERS = {
+  'filter-q': 'q',
+  'filter-scenario': 'scenarioId',
+  'cohort-filter': 'cohort',
+  'filter-status': 'status',
+  'filter-from': 'from',
+  'filter-to': 'to',
+  'filter-min-score': 'minScore',
+  'filter-max-score': 'maxScore'
+};
+
+function hasSessionFilters() {
+  return Object.keys(SESSION_FILTERS).some(id => document.getElementById(id).value.trim());
+}
+
+function sessionsQuery(cursor) {
+  const params = new URLSearchParams();
+  for (const [id, param] of Object.entries(SESSION_FILTERS)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(param, value);
+  }
+  if (cursor) params.set('cursor', cursor);
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+let sessionsRequestId = 0;
+
+async function loadSessions({ append = false } = {}) {
+  // Ignore responses to requests superseded by newer filter changes
+  const requestId = ++sessionsRequestId;
   try {
-    const response = await fetch(`${API_URL}/admin/sessions`, { headers: authHeaders() });
+    const cursor = append ? sessionsNextCursor : null;
+    const response = await fetch(`${API_URL}/admin/sessions${sessionsQuery(cursor)}`, { headers: authHeaders() });
+    if (requestId !== sessionsRequestId) return;
 
-    if (response.status === 401 || response.status === 503) {
-      clearAdminToken();
-      showLoginScreen(response.status === 401 ? 'Session expired. Please sign in again.' : 'Admin access is not configured.');
+    if (response.status === 401) {
+      resetDashboard('Session expired. Please sign in again.');
+      return;
+    }
+
+    if (response.status === 400) {
+      const { error } = await response.json();
+      document.getElementById('sessions-list').innerHTML = `<div class="no-sessions">${escapeHtml(error)}</div>`;
+      document.getElementById('load-more-btn').classList.add('hidden');
       return;
     }
 
     if (!response.ok) throw new Error('Failed to load sessions');
-    const sessions = await response.json();
-    renderSessions(sessions);
+    const page = await response.json();
+    if (requestId !== sessionsRequestId) return;
+    renderSessions(page, append);
   } catch (error) {
     console.error('Failed to load sessions:', error);
     const list = document.getElementById('sessions-list');
@@ -192,12 +342,44 @@ async function loadSessions() {
   }
 }
 
+let searchDebounceTimer = null;
+
+const sessionFilters = document.getElementById('session-filters');
+sessionFilters.addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadSessions();
+});
+sessionFilters.addEventListener('change', () => loadSessions());
+sessionFilters.addEventListener('input', (e) => {
+  if (e.target.id !== 'filter-q') return;
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(() => loadSessions(), 300);
+});
+// Reset clears the inputs after this event fires, so reload on the next tick
+sessionFilters.addEventListener('reset', () => setTimeout(() => loadSessions(), 0));
+
+document.getElementById('load-more-btn').addEventListener('click', () => loadSessions({ append: true }));
+
+async function loadScenarioFilter() {
+  try {
+    const names = await loadScenarioNames();
+    const select = document.getElementById('filter-scenario');
+    const current = select.value;
+    select.innerHTML = '<option value="">All scenarios</option>' +
+      Object.entries(names).map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('');
+    select.value = current in names ? current : '';
+  } catch (error) {
+    console.error('Failed to load scenario filter:', error);
+  }
+}
+
 async function loadSession(id) {
   // Clear any previous polling timer
   if (analysisPollTimer) {
-    clearInterval(analysisPollTimer);
+    clearTimeout(analysisPollTimer);
     analysisPollTimer = null;
   }
+  selectedSessionId = id;
 
   document.querySelectorAll('.session-item').forEach(el => el.classList.remove('active'));
   document.querySelector(`[data-id="${id}"]`)?.classList.add('active');
@@ -205,10 +387,12 @@ async function loadSession(id) {
   try {
     const response = await fetch(`${API_URL}/sessions/${id}`, { headers: authHeaders() });
     if (!response.ok) throw new Error('Failed to load session');
-    const { transcript, analysis, created_at } = await response.json();
+    const { transcript, analysis, language, created_at, anonymized_at } = await response.json();
+    const listed = allSessions.find(s => s.id === id);
+    const title = sessionTitle(listed || { id });
 
     const date = new Date(created_at);
-    const dateStr = date.toLocaleDateString('en-US', {
+    let dateStr = date.toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -216,60 +400,47 @@ async function loadSession(id) {
       hour: '2-digit',
       minute: '2-digit'
     });
+    if (listed) {
+      const names = await loadScenarioNames().catch(() => ({}));
+      dateStr += ` · ${names[listed.scenario_id] || listed.scenario_id} v${listed.scenario_version}`;
+    }
+    if (language && language !== 'en') dateStr += ` · ${languageName(language)}`;
 
     const container = document.getElementById('detail-content');
 
     if (!analysis) {
       container.innerHTML = `
-        <div class="detail-header">
-          <div class="detail-title">Session #${escapeHtml(id.slice(-6))}</div>
-          <div class="detail-date">${escapeHtml(dateStr)}</div>
-        </div>
+        ${sessionDetailHeader(id, title, dateStr)}
         <div class="detail-content">
-          <div class="empty-state">
+          <div id="analysis-status" class="empty-state">
             <div class="empty-state-icon">&#8987;</div>
-            <p>Analysis in progress... this will update automatically.</p>
+            <p>Checking analysis status...</p>
           </div>
         </div>
       `;
-      // Poll every 3 seconds until analysis is available
-      pollAttempts = 0;
-      analysisPollTimer = setInterval(() => {
-        pollAttempts++;
-        if (pollAttempts >= MAX_POLL_ATTEMPTS) {
-          clearInterval(analysisPollTimer);
-          analysisPollTimer = null;
-          const container = document.getElementById('detail-content');
-          container.innerHTML += '<p style="color: red; text-align: center; margin-top: 10px;">Analysis timed out. Please refresh to check again.</p>';
-          return;
-        }
-        loadSession(id);
-      }, 3000);
+      bindExportButtons(container, id);
+      pollAnalysisStatus(id);
       return;
     }
 
-    const getScoreClass = (score) => {
-      if (score >= 4) return 'high';
-      if (score >= 3) return 'mid';
-      return 'low';
-    };
-
-    const dimensions = [
-      { key: 'conflictResolution', label: 'Conflict Resolution' },
-      { key: 'professionalism', label: 'Professionalism' },
-      { key: 'articulation', label: 'Articulation' },
-      { key: 'learning', label: 'Learning & Growth' }
-    ];
+    // Analyses carry the rubric they were scored against; older ones predate
+    // per-scenario rubrics and use the original four dimensions
+    const dimensions = analysis.rubric?.dimensions || LEGACY_DIMENSIONS;
+    // Analyses of sessions in another language come with English translations
+    const translated = analysis.language && analysis.language !== 'en';
 
     container.innerHTML = `
-      <div class="detail-header">
-        <div class="detail-title">Session #${escapeHtml(id.slice(-6))}</div>
-        <div class="detail-date">${escapeHtml(dateStr)}</div>
-      </div>
+      ${sessionDetailHeader(id, title, dateStr)}
       <div class="detail-content">
+        ${translated ? `
+          <label class="english-toggle">
+            <input type="checkbox" id="show-english-toggle">
+            Show feedback in English (the session was in ${escapeHtml(languageName(analysis.language))})
+          </label>
+        ` : ''}
         <div class="overall-section">
-          <div class="overall-label">Overall Assessment</div>
-          <div class="overall-summary">${escapeHtml(analysis.overallSummary || 'No summary available')}</div>
+          <div class="overall-label">Overall Assessment${analysis.overallScore != null ? ` &middot; ${escapeHtml(analysis.overallScore)}/5` : ''}</div>
+          <div class="overall-summary">${withTranslation(analysis.overallSummary || 'No summary available', analysis.overallSummaryEnglish)}</div>
         </div>
         
         <div class="scores-section">
@@ -280,28 +451,48 @@ async function loadSession(id) {
               return `
                 <div class="score-card">
                   <div class="score-card-header">
-                    <span class="score-label">${dim.label}</span>
+                    <span class="score-label" title="${escapeHtml(dim.description || '')}">${escapeHtml(dim.label)}</span>
                     <span class="score-value ${getScoreClass(data.score)}">${data.score || '-'}/5</span>
                   </div>
-                  ${data.quote ? `<div class="score-quote">"${escapeHtml(data.quote)}"</div>` : ''}
-                  <div class="score-feedback">${escapeHtml(data.feedback || '')}</div>
+                  ${data.quote ? `<div class="score-quote">"${withTranslation(data.quote, data.quoteEnglish)}"</div>` : ''}
+                  <div class="score-feedback">${withTranslation(data.feedback || '', data.feedbackEnglish)}</div>
                 </div>
               `;
             }).join('')}
           </div>
         </div>
+        ${analysis.delivery ? renderDeliverySummary(analysis.delivery) : ''}
         
         <div class="transcript-section">
           <div class="section-title">Conversation Transcript</div>
-          ${(transcript || []).map(m => `
+          ${anonymized_at ? `<p class="muted">Transcript, participant and feedback were removed under the retention policy on ${escapeHtml(new Date(anonymized_at).toLocaleDateString('en-US'))}. Scores are kept.</p>` : ''}
+          ${(transcript || []).some(m => m.words && m.words.some(isLowConfidence)) ? `
+            <p class="muted"><mark class="low-confidence">Highlighted words</mark> were transcribed with low confidence and may not be what the participant said.</p>
+          ` : ''}
+          ${hasRole('owner') && (transcript || []).some(m => m.redacted) ? `
+            <button type="button" class="link-btn" id="show-originals-btn">Show original text of redacted messages</button>
+          ` : ''}
+          ${(transcript || []).map((m, position) => `
             <div class="transcript-item ${m.role === 'user' ? 'participant' : 'ai'}">
-              <div class="transcript-role">${m.role === 'user' ? 'Participant' : 'AI Scenario'}</div>
-              <div class="transcript-text">${escapeHtml(m.content)}</div>
+              <div class="transcript-role">${m.role === 'user' ? 'Participant' : 'AI Scenario'}${m.redacted ? ' <span class="muted">&middot; redacted</span>' : ''}</div>
+              <div class="transcript-text" data-position="${position}">${m.words ? highlightLowConfidence(m.content, m.words) : escapeHtml(m.content)}</div>
+              ${m.delivery ? `<div class="transcript-delivery">${escapeHtml(describeTurnDelivery(m.delivery))}</div>` : ''}
+              ${m.audioId && hasRole('assessor') ? `
+                <button type="button" class="link-btn play-recording-btn" data-audio-id="${escapeHtml(m.audioId)}">&#9654; Play recording</button>
+              ` : ''}
             </div>
           `).join('')}
         </div>
       </div>
     `;
+    bindExportButtons(container, id);
+    container.querySelector('#show-english-toggle')?.addEventListener('change', (e) => {
+      container.querySelector('.detail-content').classList.toggle('show-english', e.target.checked);
+    });
+    container.querySelector('#show-originals-btn')?.addEventListener('click', (e) => showOriginals(id, e.target));
+    container.querySelectorAll('.play-recording-btn').forEach(btn => {
+      btn.addEventListener('click', () => playRecording(id, btn));
+    });
   } catch (error) {
     console.error('Failed to load session:', error);
     const container = document.getElementById('detail-content');
@@ -309,18 +500,1272 @@ async function loadSession(id) {
   }
 }
 
+// Swap redacted messages for their decrypted originals (owners only; the
+// server records each use in the audit log)
+async function showOriginals(id, btn) {
+  btn.disabled = true;
+  try {
+    const response = await fetch(`${API_URL}/admin/sessions/${id}/originals`, { headers: authHeaders() });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to load original messages');
+    if (selectedSessionId !== id) return;
+    for (const [position, original] of Object.entries(result.originals)) {
+      const el = document.querySelector(`.transcript-text[data-position="${position}"]`);
+      if (el) el.textContent = original ?? '(original could not be decrypted)';
+    }
+    btn.textContent = 'Showing original text';
+  } catch (error) {
+    console.error('Failed to load originals:', error);
+    btn.textContent = error.message;
+  }
+}
+
+// Words the transcriber was less sure of than this are highlighted
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+function isLowConfidence(word) {
+  return word.p != null && word.p < LOW_CONFIDENCE_THRESHOLD;
+}
+
+// Render a message with its low-confidence words highlighted. Words are
+// matched against the stored text in order, so any that can't be found
+// (the message was edited, or redacted differently) are simply skipped.
+function highlightLowConfidence(content, words) {
+  const isWordChar = char => char !== undefined && /[\p{L}\p{N}_]/u.test(char);
+  // Whole words only, so "a" isn't found inside "call" or "apple"
+  const isWholeWord = (text, index) =>
+    !(isWordChar(text[0]) && isWordChar(content[index - 1])) &&
+    !(isWordChar(text[text.length - 1]) && isWordChar(content[index + text.length]));
+
+  let html = '';
+  let cursor = 0;
+  for (const word of words) {
+    if (word.p == null) continue; // redaction placeholder, or no confidence reported
+    if (!word.text || !word.text.trim()) continue;
+    let index = content.indexOf(word.text, cursor);
+    while (index !== -1 && !isWholeWord(word.text, index)) index = content.indexOf(word.text, index + 1);
+    if (index === -1) continue;
+    html += escapeHtml(content.slice(cursor, index));
+    const text = escapeHtml(word.text);
+    html += isLowConfidence(word)
+      ? `<mark class="low-confidence" title="Transcription confidence ${Math.round(word.p * 100)}%">${text}</mark>`
+      : text;
+    cursor = index + word.text.length;
+  }
+  return html + escapeHtml(content.slice(cursor));
+}
+
+// Session-wide delivery figures, measured from the participant's audio
+function renderDeliverySummary(delivery) {
+  const stats = [
+    ['Speaking rate', delivery.wordsPerMinute != null ? `${delivery.wordsPerMinute} words/min` : '-'],
+    ['Pauses', delivery.pausesPerMinute != null ? `${delivery.pausesPerMinute}/min` : '-'],
+    ['Longest pause', `${delivery.longestPauseSeconds}s`],
+    ['Filler words', String(delivery.fillers)],
+    ['Avg. response time', delivery.averageResponseLatencySeconds != null ? `${delivery.averageResponseLatencySeconds}s` : '-'],
+  ];
+  return `
+    <div class="delivery-section">
+      <div class="section-title">Delivery</div>
+      <p class="muted">Measured automatically from ${escapeHtml(delivery.turns)} spoken turn${delivery.turns === 1 ? '' : 's'}.</p>
+      <div class="delivery-stats">
+        ${stats.map(([label, value]) => `
+          <div class="delivery-stat">
+            <div class="delivery-stat-value">${escapeHtml(value)}</div>
+            <div class="delivery-stat-label">${escapeHtml(label)}</div>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function describeTurnDelivery(delivery) {
+  const parts = [];
+  if (delivery.wordsPerMinute != null) parts.push(`${delivery.wordsPerMinute} wpm`);
+  if (delivery.pauses.count > 0) parts.push(`${delivery.pauses.count} pause${delivery.pauses.count === 1 ? '' : 's'} (longest ${delivery.pauses.longestSeconds}s)`);
+  if (delivery.fillers.total > 0) {
+    parts.push(`fillers: ${Object.entries(delivery.fillers.byWord).map(([word, n]) => `${word} ×${n}`).join(', ')}`);
+  }
+  if (delivery.responseLatencySeconds != null) parts.push(`responded after ${delivery.responseLatencySeconds}s`);
+  return parts.join(' · ');
+}
+
+// Replace a "Play recording" button with an inline player. The recording is
+// fetched with the staff token (an <audio src> can't send it) and each
+// playback is audited.
+async function playRecording(id, btn) {
+  btn.disabled = true;
+  try {
+    const response = await fetch(`${API_URL}/admin/sessions/${id}/recordings/${btn.dataset.audioId}`, { headers: authHeaders() });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || 'Failed to load recording');
+    }
+    const blob = await response.blob();
+    if (selectedSessionId !== id) return;
+    const audio = document.createElement('audio');
+    audio.className = 'transcript-audio';
+    audio.controls = true;
+    audio.src = URL.createObjectURL(blob);
+    btn.replaceWith(audio);
+    audio.play().catch(() => {}); // autoplay may be blocked; the controls still work
+  } catch (error) {
+    console.error('Failed to load recording:', error);
+    btn.textContent = error.message;
+  }
+}
+
+function sessionDetailHeader(id, title, dateStr) {
+  return `
+    <div class="detail-header">
+      <div>
+        <div class="detail-title">${escapeHtml(title)}</div>
+        <div class="detail-date">${escapeHtml(dateStr)}</div>
+      </div>
+      <div class="detail-actions">
+        <button type="button" class="header-btn" data-export="report">Printable Report</button>
+        <button type="button" class="header-btn" data-export="json">Export JSON</button>
+      </div>
+    </div>
+  `;
+}
+
+function bindExportButtons(container, id) {
+  container.querySelector('[data-export="report"]').addEventListener('click', () => openSessionReport(id));
+  container.querySelector('[data-export="json"]').addEventListener('click', () => {
+    downloadExport(`${API_URL}/admin/sessions/${id}/export.json`, `session-${id.slice(-6)}.json`);
+  });
+}
+
+// ---- Exports ----
+
+// Export endpoints need the auth header, so fetch them and hand the browser
+// a blob URL instead of linking to them directly
+async function fetchExport(url) {
+  const response = await fetch(url, { headers: authHeaders() });
+  if (!response.ok) throw new Error('Export failed');
+  return response;
+}
+
+async function downloadExport(url, fallbackFilename) {
+  try {
+    const response = await fetchExport(url);
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFilename;
+    const blobUrl = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = blobUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 1000);
+  } catch (error) {
+    console.error('Export failed:', error);
+    alert('Export failed. Please try again.');
+  }
+}
+
+async function openSessionReport(id) {
+  // Open the window before awaiting so popup blockers allow it
+  const win = window.open('', '_blank');
+  try {
+    const response = await fetchExport(`${API_URL}/admin/sessions/${id}/report.html`);
+    const blob = new Blob([await response.text()], { type: 'text/html' });
+    const blobUrl = URL.createObjectURL(blob);
+    if (win) {
+      win.location.href = blobUrl;
+    } else {
+      window.location.href = blobUrl;
+    }
+  } catch (error) {
+    console.error('Report failed:', error);
+    if (win) win.close();
+    alert('Failed to build report. Please try again.');
+  }
+}
+
+document.getElementById('export-csv-btn').addEventListener('click', () => {
+  // Same filters as the list, but every matching session rather than one page
+  downloadExport(`${API_URL}/admin/exports/sessions.csv${sessionsQuery()}`, 'vibesonly-scores.csv');
+});
+
+// ---- Analysis status ----
+
+async function pollAnalysisStatus(id) {
+  analysisPollTimer = null;
+
+  let status;
+  try {
+    const response = await fetch(`${API_URL}/admin/sessions/${id}/analysis-status`, { headers: authHeaders() });
+    if (!response.ok) throw new Error('Failed to load analysis status');
+    status = await response.json();
+  } catch (error) {
+    console.error('Failed to load analysis status:', error);
+    status = { status: 'unknown' };
+  }
+
+  // The admin may have moved on to another session while we were waiting
+  if (selectedSessionId !== id) return;
+
+  if (status.status === 'succeeded') {
+    loadSession(id);
+    return;
+  }
+
+  renderAnalysisStatus(id, status);
+
+  if (status.status === 'queued' || status.status === 'running') {
+    analysisPollTimer = setTimeout(() => pollAnalysisStatus(id), ANALYSIS_POLL_INTERVAL);
+  }
+}
+
+function renderAnalysisStatus(id, status) {
+  const el = document.getElementById('analysis-status');
+  if (!el) return;
+
+  let icon = '&#8987;';
+  let message;
+  let detail = '';
+  let action = null;
+
+  switch (status.status) {
+    case 'queued':
+      message = 'Analysis queued... this will update automatically.';
+      break;
+    case 'running':
+      message = `Analysis running (attempt ${Math.min(status.attempts + 1, status.maxAttempts)} of ${status.maxAttempts})... this will update automatically.`;
+      if (status.lastError) detail = `Previous attempt failed: ${status.lastError}`;
+      break;
+    case 'failed':
+      icon = '&#9888;';
+      message = `Analysis failed after ${status.attempts} attempt${status.attempts === 1 ? '' : 's'}.`;
+      detail = status.lastError || '';
+      if (hasRole('assessor')) action = 'Retry Analysis';
+      break;
+    case 'none':
+      icon = '&#128203;';
+      message = 'No analysis has been requested for this session.';
+      if (hasRole('assessor')) action = 'Run Analysis';
+      break;
+    default:
+      icon = '&#9888;';
+      message = 'Could not check analysis status.';
+      action = 'Check Again';
+  }
+
+  el.innerHTML = `
+    <div class="empty-state-icon">${icon}</div>
+    <p>${escapeHtml(message)}</p>
+    ${detail ? `<p class="analysis-error">${escapeHtml(detail)}</p>` : ''}
+    ${action ? `<button type="button" class="btn btn-primary analysis-action">${escapeHtml(action)}</button>` : ''}
+  `;
+
+  const btn = el.querySelector('.analysis-action');
+  if (!btn) return;
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    if (status.status !== 'unknown') {
+      try {
+        const response = await fetch(`${API_URL}/admin/sessions/${id}/analyze`, {
+          method: 'POST',
+          headers: authHeaders()
+        });
+        if (!response.ok) throw new Error('Failed to start analysis');
+      } catch (error) {
+        console.error('Failed to start analysis:', error);
+      }
+    }
+    pollAnalysisStatus(id);
+  });
+}
+
+// ---- Views ----
+
+function switchView(view) {
+  document.querySelectorAll('.admin-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === view);
+  });
+  document.querySelectorAll('.admin-view').forEach(el => {
+    el.classList.toggle('hidden', el.id !== `${view}-view`);
+  });
+  if (view === 'participants') loadParticipants();
+  if (view === 'scenarios') loadScenarios();
+  if (view === 'users') loadUsers();
+  if (view === 'audit') loadAuditView();
+}
+
+document.querySelectorAll('.admin-tab').forEach(tab => {
+  tab.addEventListener('click', () => switchView(tab.dataset.view));
+});
+
+// Show a session from elsewhere in the dashboard, clearing filters that hide it
+async function openSession(id) {
+  switchView('sessions');
+  if (!allSessions.some(s => s.id === id)) {
+    sessionFilters.reset();
+    await loadSessions();
+  }
+  loadSession(id);
+}
+
+// ---- Cohorts ----
+
+async function loadCohorts() {
+  try {
+    const response = await fetch(`${API_URL}/admin/cohorts`, { headers: authHeaders() });
+    if (!response.ok) throw new Error('Failed to load cohorts');
+    const cohorts = await response.json();
+
+    ['cohort-filter', 'participant-cohort-filter'].forEach(selectId => {
+      const select = document.getElementById(selectId);
+      const current = select.value;
+      select.innerHTML = '<option value="">All cohorts</option>' +
+        cohorts.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+      select.value = cohorts.includes(current) ? current : '';
+    });
+    document.getElementById('cohort-options').innerHTML =
+      cohorts.map(c => `<option value="${escapeHtml(c)}">`).join('');
+  } catch (error) {
+    console.error('Failed to load cohorts:', error);
+  }
+}
+
+
+// ---- Participants ----
+
+let allParticipants = [];
+let adminScenarios = null; // all scenarios including archived, loaded on first use
+
+async function loadAdminScenarios() {
+  if (adminScenarios) return adminScenarios;
+  const response = await fetch(`${API_URL}/admin/scenarios`, { headers: authHeaders() });
+  if (!response.ok) throw new Error('Failed to load scenarios');
+  adminScenarios = await response.json();
+  return adminScenarios;
+}
+
+// Scenario id -> name. Includes archived scenarios so old sessions still resolve.
+async function loadScenarioNames() {
+  const scenarios = await loadAdminScenarios();
+  return Object.fromEntries(scenarios.map(s => [s.id, s.name]));
+}
+
+async function loadParticipants() {
+  const list = document.getElementById('participants-list');
+  try {
+    const cohort = document.getElementById('participant-cohort-filter').value;
+    const query = cohort ? `?cohort=${encodeURIComponent(cohort)}` : '';
+    const response = await fetch(`${API_URL}/admin/participants${query}`, { headers: authHeaders() });
+    if (!response.ok) throw new Error('Failed to load participants');
+    allParticipants = await response.json();
+
+    if (allParticipants.length === 0) {
+      list.innerHTML = '<div class="no-sessions">No participants yet</div>';
+      return;
+    }
+
+    list.innerHTML = allParticipants.map(p => `
+      <div class="session-item" data-participant-id="${escapeHtml(p.id)}">
+        <div class="session-id">${escapeHtml(p.name)}</div>
+        <div class="session-participant">${escapeHtml([p.external_id, p.cohort].filter(Boolean).join(' · ') || 'No cohort')}</div>
+        <div class="session-date">${p.session_count} session${p.session_count === 1 ? '' : 's'}</div>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.session-item').forEach(el => {
+      el.addEventListener('click', () => loadParticipant(el.dataset.participantId));
+    });
+  } catch (error) {
+    console.error('Failed to load participants:', error);
+    list.innerHTML = '<div class="no-sessions">Failed to load participants. Please refresh.</div>';
+  }
+}
+
+document.getElementById('participant-cohort-filter').addEventListener('change', loadParticipants);
+
+document.getElementById('participant-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const errorEl = document.getElementById('participant-form-error');
+  errorEl.textContent = '';
+
+  const name = document.getElementById('participant-name').value.trim();
+  const externalId = document.getElementById('participant-external-id').value.trim();
+  const cohort = document.getElementById('participant-cohort').value.trim();
+
+  try {
+    const response = await fetch(`${API_URL}/admin/participants`, {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, externalId: externalId || null, cohort: cohort || null })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      errorEl.textContent = data.error || 'Failed to add participant.';
+      return;
+    }
+    e.target.reset();
+    await Promise.all([loadParticipants(), loadCohorts()]);
+    loadParticipant(data.id);
+  } catch (error) {
+    console.error('Failed to add participant:', error);
+    errorEl.textContent = 'Failed to add participant.';
+  }
+});
+
+// ---- Progress ----
+
+function getScoreClass(score) {
+  if (score >= 4) return 'high';
+  if (score >= 3) return 'mid';
+  return 'low';
+}
+
+// Inline SVG line chart of 1-5 scores, oldest to newest
+function sparkline(points) {
+  const width = 140;
+  const height = 36;
+  const pad = 4;
+  const x = i => points.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (points.length - 1);
+  const y = score => height - pad - ((score - 1) * (height - 2 * pad)) / 4;
+  const coords = points.map((p, i) => `${x(i).toFixed(1)},${y(p.score).toFixed(1)}`);
+  return `
+    <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+      <polyline points="${coords.join(' ')}" fill="none" stroke="currentColor" stroke-width="2" />
+      ${coords.map(c => `<circle cx="${c.split(',')[0]}" cy="${c.split(',')[1]}" r="2.5" fill="currentColor" />`).join('')}
+    </svg>
+  `;
+}
+
+function formatChange(change) {
+  if (change === null || change === 0) return '<span class="trend-change flat">&plusmn;0</span>';
+  return change > 0
+    ? `<span class="trend-change up">&#9650; +${escapeHtml(change)}</span>`
+    : `<span class="trend-change down">&#9660; ${escapeHtml(change)}</span>`;
+}
+
+function renderProgress(report, names) {
+  if (report.sessions.length === 0) {
+    return `
+      <div class="section-title">Progress</div>
+      <p class="muted progress-empty">No analyzed sessions yet.</p>
+    `;
+  }
+
+  const shortDate = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const sessionLink = (sessionId, label) =>
+    `<button type="button" class="link-btn" data-progress-session-id="${escapeHtml(sessionId)}">${escapeHtml(label)}</button>`;
+
+  const overall = report.overall;
+  const overallRow = overall.points.length > 0 ? `
+    <div class="trend-row">
+      <div class="trend-header">
+        <span class="score-label">Overall</span>
+        ${sparkline(overall.points)}
+        <span class="trend-summary">
+          ${escapeHtml(overall.first.score)} &rarr; <span class="score-value ${getScoreClass(overall.latest.score)}">${escapeHtml(overall.latest.score)}</span>
+          ${formatChange(overall.change)}
+        </span>
+      </div>
+    </div>
+  ` : '';
+
+  return `
+    <div class="section-title">Progress</div>
+    <p class="muted progress-sessions">
+      ${report.sessions.length} analyzed session${report.sessions.length === 1 ? '' : 's'}:
+      ${report.sessions.map(s => sessionLink(s.sessionId, `${names[s.scenarioId] || s.scenarioId} (${shortDate(s.createdAt)})`)).join(', ')}
+    </p>
+    <div class="progress-section">
+      ${overallRow}
+      ${report.dimensions.map(dim => `
+        <div class="trend-row">
+          <div class="trend-header">
+            <span class="score-label">${escapeHtml(dim.label)}</span>
+            ${sparkline(dim.points)}
+            <span class="trend-summary">
+              ${escapeHtml(dim.first.score)} &rarr; <span class="score-value ${getScoreClass(dim.latest.score)}">${escapeHtml(dim.latest.score)}</span>
+              ${formatChange(dim.change)}
+            </span>
+          </div>
+          ${dim.points.length > 1 ? `
+            <div class="trend-compare">
+              <div>
+                <div class="muted">First &middot; ${escapeHtml(shortDate(dim.first.createdAt))}</div>
+                ${dim.first.quote ? `<div class="score-quote">"${escapeHtml(dim.first.quote)}"</div>` : ''}
+              </div>
+              <div>
+                <div class="muted">Latest &middot; ${escapeHtml(shortDate(dim.latest.createdAt))}</div>
+                ${dim.latest.quote ? `<div class="score-quote">"${escapeHtml(dim.latest.quote)}"</div>` : ''}
+              </div>
+            </div>
+          ` : ''}
+          ${dim.changes.length > 0 ? `
+            <details class="trend-changes">
+              <summary>${dim.changes.length} score change${dim.changes.length === 1 ? '' : 's'}</summary>
+              ${dim.changes.map(c => `
+                <div class="trend-change-item">
+                  <div>${escapeHtml(c.from)} &rarr; ${escapeHtml(c.to)} ${formatChange(c.delta)} ${sessionLink(c.toSessionId, shortDate(c.createdAt))}</div>
+                  ${c.quote ? `<div class="score-quote">"${escapeHtml(c.quote)}"</div>` : ''}
+                  <div class="score-feedback">${escapeHtml(c.feedback)}</div>
+                </div>
+              `).join('')}
+            </details>
+          ` : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Permanently remove a participant with their sessions, transcripts,
+// analyses and invites
+async function deleteParticipant(participant) {
+  const count = participant.sessions.length;
+  const confirmed = confirm(
+    `Permanently delete ${participant.name} and all of their data ` +
+    `(${count} session${count === 1 ? '' : 's'} with transcripts and analyses, and all invites)? This cannot be undone.`
+  );
+  if (!confirmed) return;
+
+  try {
+    const response = await fetch(`${API_URL}/admin/participants/${encodeURIComponent(participant.id)}`, {
+      method: 'DELETE',
+      headers: authHeaders()
+    });
+    if (!response.ok) throw new Error('Failed to delete participant');
+    document.getElementById('participant-detail').innerHTML =
+      `<div class="empty-state"><p>${escapeHtml(participant.name)} and their data have been deleted.</p></div>`;
+    loadParticipants();
+    loadCohorts();
+  } catch (error) {
+    console.error('Failed to delete participant:', error);
+    alert('Failed to delete participant data. Please try again.');
+  }
+}
+
+function inviteLink(code) {
+  return `${window.location.origin}/?invite=${encodeURIComponent(code)}`;
+}
+
+function inviteStatus(invite) {
+  if (invite.used_at) return 'Used';
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) return 'Expired';
+  return invite.expires_at ? `Expires ${new Date(invite.expires_at).toLocaleDateString('en-US')}` : 'Open';
+}
+
+async function loadParticipant(id) {
+  document.querySelectorAll('[data-participant-id]').forEach(el => {
+    el.classList.toggle('active', el.dataset.participantId === id);
+  });
+
+  const container = document.getElementById('participant-detail');
+  try {
+    const [response, reportResponse, scenarios] = await Promise.all([
+      fetch(`${API_URL}/admin/participants/${id}`, { headers: authHeaders() }),
+      fetch(`${API_URL}/admin/participants/${id}/report`, { headers: authHeaders() }),
+      loadAdminScenarios()
+    ]);
+    const names = Object.fromEntries(scenarios.map(s => [s.id, s.name]));
+    if (!response.ok || !reportResponse.ok) throw new Error('Failed to load participant');
+    const participant = await response.json();
+    const report = await reportResponse.json();
+
+    container.innerHTML = `
+      <div class="detail-header">
+        <div>
+          <div class="detail-title">${escapeHtml(participant.name)}</div>
+          <div class="detail-date">${escapeHtml([participant.external_id, participant.cohort].filter(Boolean).join(' · '))}</div>
+        </div>
+        ${hasRole('owner') ? `
+        <div class="detail-actions">
+          <button type="button" class="header-btn" id="participant-delete-btn">Delete All Data</button>
+        </div>` : ''}
+      </div>
+      <div class="detail-content">
+        ${renderProgress(report, names)}
+
+        <div class="section-title">Sessions</div>
+        <ul class="detail-list">
+          ${participant.sessions.length === 0 ? '<li class="muted">No sessions yet</li>' : participant.sessions.map(s => `
+            <li>
+              <span>
+                ${escapeHtml(names[s.scenario_id] || s.scenario_id)} <span class="muted">v${escapeHtml(s.scenario_version)}</span>
+                <div class="muted">${escapeHtml(new Date(s.created_at).toLocaleString('en-US'))}${s.analyzed ? '' : ' · not analyzed'}</div>
+              </span>
+              <button type="button" class="link-btn" data-session-id="${escapeHtml(s.id)}">View</button>
+            </li>
+          `).join('')}
+        </ul>
+
+        <div class="section-title">Invites</div>
+        ${hasRole('assessor') ? `
+        <form id="invite-form" class="invite-form">
+          <select id="invite-scenario" class="filter-input" aria-label="Scenario" required>
+            ${scenarios.filter(s => !s.archived).map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join('')}
+          </select>
+          <select id="invite-expiry" class="filter-input" aria-label="Expires">
+            <option value="">Never expires</option>
+            <option value="1">Expires in 1 day</option>
+            <option value="7" selected>Expires in 7 days</option>
+            <option value="30">Expires in 30 days</option>
+          </select>
+          <button type="submit" class="btn btn-primary">Create Invite</button>
+        </form>` : ''}
+        <ul class="detail-list">
+          ${participant.invites.length === 0 ? '<li class="muted">No invites yet</li>' : participant.invites.map(invite => `
+            <li>
+              <span>
+                <span class="invite-code">${escapeHtml(invite.code)}</span>
+                ${escapeHtml(names[invite.scenario_id] || invite.scenario_id)}
+                <div class="muted">${escapeHtml(inviteStatus(invite))}</div>
+              </span>
+              ${invite.used_at ? '' : `<button type="button" class="link-btn" data-invite-code="${escapeHtml(invite.code)}">Copy Link</button>`}
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+
+    container.querySelectorAll('[data-session-id]').forEach(btn => {
+      btn.addEventListener('click', () => openSession(btn.dataset.sessionId));
+    });
+    container.querySelectorAll('[data-progress-session-id]').forEach(link => {
+      link.addEventListener('click', () => openSession(link.dataset.progressSessionId));
+    });
+    container.querySelectorAll('[data-invite-code]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const link = inviteLink(btn.dataset.inviteCode);
+        try {
+          await navigator.clipboard.writeText(link);
+          btn.textContent = 'Copied!';
+        } catch {
+          window.prompt('Copy this invite link:', link);
+        }
+      });
+    });
+    container.querySelector('#participant-delete-btn')?.addEventListener('click', () => deleteParticipant(participant));
+    container.querySelector('#invite-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const expiry = container.querySelector('#invite-expiry').value;
+      try {
+        const response = await fetch(`${API_URL}/admin/participants/${id}/invites`, {
+          method: 'POST',
+          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            scenarioId: container.querySelector('#invite-scenario').value,
+            expiresInDays: expiry ? parseInt(expiry, 10) : null
+          })
+        });
+        if (!response.ok) throw new Error('Failed to create invite');
+        loadParticipant(id);
+      } catch (error) {
+        console.error('Failed to create invite:', error);
+      }
+    });
+  } catch (error) {
+    console.error('Failed to load participant:', error);
+    container.innerHTML = '<div class="empty-state"><p>Failed to load participant details.</p></div>';
+  }
+}
+
+// ---- Scenarios ----
+
+let selectedScenarioId = null;
+let testChatTranscript = [];
+
+async function loadScenarios() {
+  const list = document.getElementById('scenarios-list');
+  try {
+    adminScenarios = null;
+    const scenarios = await loadAdminScenarios();
+
+    if (scenarios.length === 0) {
+      list.innerHTML = '<div class="no-sessions">No scenarios yet</div>';
+      return;
+    }
+
+    list.innerHTML = scenarios.map(s => `
+      <div class="session-item${s.id === selectedScenarioId ? ' active' : ''}" data-scenario-id="${escapeHtml(s.id)}">
+        <div class="session-id">${escapeHtml(s.name)}</div>
+        <div class="session-participant">${escapeHtml(s.id)}</div>
+        <div class="session-meta">
+          <span class="session-date">Version ${escapeHtml(s.version)}</span>
+          ${s.archived ? '<span class="status-badge">Archived</span>' : ''}
+        </div>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-scenario-id]').forEach(el => {
+      el.addEventListener('click', () => loadScenario(el.dataset.scenarioId));
+    });
+  } catch (error) {
+    console.error('Failed to load scenarios:', error);
+    list.innerHTML = '<div class="no-sessions">Failed to load scenarios. Please refresh.</div>';
+  }
+}
+
+// Scenario lists elsewhere in the dashboard are cached; refresh them after edits
+function scenariosChanged() {
+  loadScenarios().then(loadScenarioFilter);
+}
+
+document.getElementById('new-scenario-btn').addEventListener('click', () => {
+  selectedScenarioId = null;
+  document.querySelectorAll('[data-scenario-id]').forEach(el => el.classList.remove('active'));
+  renderScenarioEditor(null);
+});
+
+async function loadScenario(id, version = null) {
+  selectedScenarioId = id;
+  document.querySelectorAll('[data-scenario-id]').forEach(el => {
+    el.classList.toggle('active', el.dataset.scenarioId === id);
+  });
+
+  try {
+    const query = version ? `?version=${encodeURIComponent(version)}` : '';
+    const response = await fetch(`${API_URL}/admin/scenarios/${encodeURIComponent(id)}${query}`, { headers: authHeaders() });
+    if (!response.ok) throw new Error('Failed to load scenario');
+    renderScenarioEditor(await response.json());
+  } catch (error) {
+    console.error('Failed to load scenario:', error);
+    document.getElementById('scenario-detail').innerHTML =
+      '<div class="empty-state"><p>Failed to load scenario.</p></div>';
+  }
+}
+
+// Editor for a new scenario (scenario = null) or a version of an existing one.
+// Saving always creates a new version, so saving an old version restores it.
+function renderScenarioEditor(scenario) {
+  const isNew = !scenario;
+  const viewingOld = scenario && scenario.version !== scenario.currentVersion;
+  const canEdit = hasRole('assessor');
+  const container = document.getElementById('scenario-detail');
+  testChatTranscript = [];
+
+  container.innerHTML = `
+    <div class="detail-header">
+      <div>
+        <div class="detail-title">${escapeHtml(isNew ? 'New Scenario' : scenario.name)}</div>
+        <div class="detail-date">${isNew ? '' : escapeHtml(`${scenario.id} · version ${scenario.version}${viewingOld ? ` (current is ${scenario.currentVersion})` : ''}${scenario.archived ? ' · archived' : ''}`)}</div>
+      </div>
+      ${isNew || !canEdit ? '' : `
+      <div class="detail-actions">
+        <button type="button" class="header-btn" id="scenario-archive-btn">${scenario.archived ? 'Restore' : 'Archive'}</button>
+      </div>`}
+    </div>
+    <div class="detail-content">
+      <form id="scenario-form" class="scenario-form">
+        ${isNew ? `
+        <label>ID
+          <input type="text" name="id" class="filter-input" pattern="[a-zA-Z0-9_\\-]+" maxlength="100" placeholder="e.g. customer-complaint" required>
+        </label>` : ''}
+        <label>Name
+          <input type="text" name="name" class="filter-input" required>
+        </label>
+        <label>Description
+          <input type="text" name="description" class="filter-input" required>
+        </label>
+        <label>Character name
+          <input type="text" name="characterName" class="filter-input" required>
+        </label>
+        <label>Opening line
+          <textarea name="initialMessage" class="filter-input" required></textarea>
+        </label>
+        <label>System prompt
+          <textarea name="systemPrompt" class="filter-input" required></textarea>
+        </label>
+        <label>Rubric (JSON, leave empty for the default rubric)
+          <textarea name="rubric" class="filter-input code-input" spellcheck="false"></textarea>
+        </label>
+        <label>Character voice (JSON by TTS provider, leave empty for the default voice)
+          <textarea name="voice" class="filter-input code-input" spellcheck="false" placeholder='{ "elevenlabs": { "voiceId": "..." }, "browser": { "lang": "en-GB", "pitch": 1.2 } }'></textarea>
+        </label>
+        <label>Translations (JSON by language code, leave empty for English only)
+          <textarea name="translations" class="filter-input code-input" spellcheck="false" placeholder='{ "es": { "name": "...", "description": "...", "initialMessage": "..." } }'></textarea>
+        </label>
+        ${canEdit ? `
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${isNew ? 'Create Scenario' : viewingOld ? `Restore as Version ${scenario.currentVersion + 1}` : 'Save New Version'}</button>
+          <span id="scenario-form-status" class="muted"></span>
+        </div>` : ''}
+        <div id="scenario-form-error" class="analysis-error"></div>
+      </form>
+
+      ${canEdit ? `
+      <div class="section-title">Test Chat</div>
+      <p class="muted">Try the unsaved definition above. Test conversations are not stored.</p>
+      <div id="test-chat-log" class="test-chat-log"></div>
+      <form id="test-chat-form" class="invite-form">
+        <input type="text" id="test-chat-input" class="filter-input" placeholder="Say something as the participant..." maxlength="5000" autocomplete="off">
+        <button type="submit" class="btn btn-primary">Send</button>
+        <button type="button" id="test-chat-reset" class="link-btn">Restart</button>
+      </form>` : ''}
+
+      ${isNew ? '' : `
+      <div class="section-title">Version History</div>
+      <ul id="scenario-version-list" class="detail-list">
+        ${scenario.versions.map(v => `
+          <li>
+            <span>
+              Version ${escapeHtml(v.version)}${v.version === scenario.currentVersion ? ' (current)' : ''}
+              <div class="muted">${escapeHtml(new Date(v.createdAt).toLocaleString('en-US'))}</div>
+            </span>
+            ${v.version === scenario.version ? '<span class="muted">Viewing</span>' : `<button type="button" class="link-btn" data-scenario-version="${escapeHtml(v.version)}">View</button>`}
+          </li>
+        `).join('')}
+      </ul>`}
+    </div>
+  `;
+
+  // Fill values via the DOM rather than the template to keep prompts verbatim
+  const form = container.querySelector('#scenario-form');
+  if (!isNew) {
+    for (const field of ['name', 'description', 'characterName', 'initialMessage', 'systemPrompt']) {
+      form.elements[field].value = scenario[field] || '';
+    }
+    form.elements.rubric.value = scenario.rubric ? JSON.stringify(scenario.rubric, null, 2) : '';
+    form.elements.voice.value = scenario.voice ? JSON.stringify(scenario.voice, null, 2) : '';
+    form.elements.translations.value = scenario.translations ? JSON.stringify(scenario.translations, null, 2) : '';
+  }
+  container.querySelectorAll('#scenario-version-list [data-scenario-version]').forEach(btn => {
+    btn.addEventListener('click', () => loadScenario(scenario.id, parseInt(btn.dataset.scenarioVersion, 10)));
+  });
+  if (!canEdit) {
+    for (const el of form.elements) el.readOnly = true;
+    return;
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveScenario(form, scenario);
+  });
+  container.querySelector('#scenario-archive-btn')?.addEventListener('click', async () => {
+    try {
+      const action = scenario.archived ? 'restore' : 'archive';
+      const response = await fetch(`${API_URL}/admin/scenarios/${encodeURIComponent(scenario.id)}/${action}`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      if (!response.ok) throw new Error(`Failed to ${action} scenario`);
+      scenariosChanged();
+      loadScenario(scenario.id);
+    } catch (error) {
+      console.error(error);
+    }
+  });
+  const resetTestChat = () => {
+    const initialMessage = form.elements.initialMessage.value.trim();
+    testChatTranscript = initialMessage ? [{ role: 'assistant', content: initialMessage }] : [];
+    renderTestChat(form);
+  };
+  resetTestChat();
+  container.querySelector('#test-chat-reset').addEventListener('click', resetTestChat);
+  container.querySelector('#test-chat-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    sendTestChatMessage(form);
+  });
+}
+
+// Read the editor form into a scenario definition. Throws on invalid rubric,
+// voice or translations JSON.
+function readScenarioForm(form) {
+  const definition = {};
+  for (const field of ['name', 'description', 'characterName', 'initialMessage', 'systemPrompt']) {
+    definition[field] = form.elements[field].value;
+  }
+  for (const [field, label] of [['rubric', 'Rubric'], ['voice', 'Character voice'], ['translations', 'Translations']]) {
+    const text = form.elements[field].value.trim();
+    if (!text) continue;
+    try {
+      definition[field] = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${label} is not valid JSON: ${err.message}`);
+    }
+  }
+  return definition;
+}
+
+async function saveScenario(form, scenario) {
+  const errorEl = form.querySelector('#scenario-form-error');
+  const statusEl = form.querySelector('#scenario-form-status');
+  errorEl.textContent = '';
+
+  let body;
+  try {
+    body = readScenarioForm(form);
+  } catch (err) {
+    errorEl.textContent = err.message;
+    return;
+  }
+  if (!scenario) body.id = form.elements.id.value.trim();
+
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  statusEl.textContent = 'Saving...';
+  try {
+    const response = await fetch(
+      scenario ? `${API_URL}/admin/scenarios/${encodeURIComponent(scenario.id)}` : `${API_URL}/admin/scenarios`,
+      {
+        method: scenario ? 'PUT' : 'POST',
+        headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }
+    );
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Failed to save scenario');
+    scenariosChanged();
+    loadScenario(result.id);
+  } catch (error) {
+    console.error('Failed to save scenario:', error);
+    errorEl.textContent = error.message;
+    statusEl.textContent = '';
+    submitBtn.disabled = false;
+  }
+}
+
+function renderTestChat(form) {
+  const characterName = form.elements.characterName.value.trim() || 'AI Scenario';
+  const log = document.getElementById('test-chat-log');
+  log.innerHTML = testChatTranscript.map(m => `
+    <div class="transcript-item ${m.role === 'user' ? 'participant' : 'ai'}">
+      <div class="transcript-role">${m.role === 'user' ? 'Participant' : escapeHtml(characterName)}</div>
+      <div class="transcript-text">${escapeHtml(m.content)}</div>
+    </div>
+  `).join('');
+  log.scrollTop = log.scrollHeight;
+}
+
+async function sendTestChatMessage(form) {
+  const input = document.getElementById('test-chat-input');
+  const errorEl = form.querySelector('#scenario-form-error');
+  const message = input.value.trim();
+  if (!message) return;
+
+  let scenario;
+  try {
+    scenario = readScenarioForm(form);
+  } catch (err) {
+    errorEl.textContent = err.message;
+    return;
+  }
+
+  const transcript = testChatTranscript;
+  input.value = '';
+  input.disabled = true;
+  errorEl.textContent = '';
+  testChatTranscript = [...transcript, { role: 'user', content: message }];
+  renderTestChat(form);
+
+  try {
+    const response = await fetch(`${API_URL}/admin/scenarios/preview-turn`, {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ scenario, transcript, message })
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Test chat failed');
+    if (!form.isConnected) return; // editor was replaced while waiting
+    testChatTranscript = [...testChatTranscript, { role: 'assistant', content: result.response }];
+  } catch (error) {
+    console.error('Test chat failed:', error);
+    if (!form.isConnected) return;
+    testChatTranscript = transcript;
+    input.value = message;
+    errorEl.textContent = error.message;
+  }
+  renderTestChat(form);
+  input.disabled = false;
+  input.focus();
+}
+
+// ---- Staff users (owners only) ----
+
+const ROLE_LABELS = {
+  viewer: 'Viewer (read-only)',
+  assessor: 'Assessor',
+  owner: 'Owner'
+};
+
+let allUsers = [];
+
+async function loadUsers() {
+  const list = document.getElementById('users-list');
+  try {
+    const response = await fetch(`${API_URL}/admin/users`, { headers: authHeaders() });
+    if (!response.ok) throw new Error('Failed to load users');
+    allUsers = await response.json();
+
+    list.innerHTML = allUsers.map(u => `
+      <div class="session-item" data-user-id="${escapeHtml(u.id)}">
+        <div class="session-id">${escapeHtml(u.name)}${u.id === currentUser.id ? ' (you)' : ''}</div>
+        <div class="session-participant">${escapeHtml(u.email)}</div>
+        <div class="session-meta">
+          <span class="session-date">${escapeHtml(u.lastLoginAt ? `Last sign-in ${new Date(u.lastLoginAt).toLocaleDateString('en-US')}` : 'Never signed in')}</span>
+          <span class="status-badge${u.disabled ? ' failed' : ''}">${escapeHtml(u.disabled ? 'Disabled' : u.role)}</span>
+        </div>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('[data-user-id]').forEach(el => {
+      el.addEventListener('click', () => renderUserDetail(el.dataset.userId));
+    });
+  } catch (error) {
+    console.error('Failed to load users:', error);
+    list.innerHTML = '<div class="no-sessions">Failed to load users. Please refresh.</div>';
+  }
+}
+
+document.getElementById('user-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const errorEl = document.getElementById('user-form-error');
+  errorEl.textContent = '';
+  try {
+    const response = await fetch(`${API_URL}/admin/users`, {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: document.getElementById('user-name').value,
+        email: document.getElementById('user-email').value,
+        password: document.getElementById('user-password').value,
+        role: document.getElementById('user-role').value
+      })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      errorEl.textContent = result.error || 'Failed to add user';
+      return;
+    }
+    e.target.reset();
+    await loadUsers();
+    renderUserDetail(result.id);
+  } catch (error) {
+    console.error('Failed to add user:', error);
+    errorEl.textContent = 'Failed to add user';
+  }
+});
+
+async function updateUser(id, changes) {
+  const response = await fetch(`${API_URL}/admin/users/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || 'Failed to update user');
+  return result;
+}
+
+function renderUserDetail(id) {
+  const user = allUsers.find(u => u.id === id);
+  if (!user) return;
+  document.querySelectorAll('[data-user-id]').forEach(el => {
+    el.classList.toggle('active', el.dataset.userId === id);
+  });
+
+  const container = document.getElementById('user-detail');
+  container.innerHTML = `
+    <div class="detail-header">
+      <div>
+        <div class="detail-title">${escapeHtml(user.name)}</div>
+        <div class="detail-date">${escapeHtml(user.email)}</div>
+      </div>
+      <div class="detail-actions">
+        <button type="button" class="header-btn" id="user-disable-btn">${user.disabled ? 'Enable' : 'Disable'}</button>
+      </div>
+    </div>
+    <div class="detail-content">
+      <form id="user-edit-form" class="scenario-form">
+        <label>Name
+          <input type="text" name="name" class="filter-input" maxlength="200" required>
+        </label>
+        <label>Role
+          <select name="role" class="filter-input">
+            ${Object.entries(ROLE_LABELS).map(([role, label]) => `<option value="${role}">${escapeHtml(label)}</option>`).join('')}
+          </select>
+        </label>
+        <label>New password (leave empty to keep the current one; signs the user out)
+          <input type="password" name="password" class="filter-input" minlength="10" autocomplete="new-password">
+        </label>
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">Save</button>
+          <span id="user-edit-status" class="muted"></span>
+        </div>
+        <div id="user-edit-error" class="analysis-error"></div>
+      </form>
+      <p class="muted">
+        Viewers can browse sessions, reports and exports. Assessors can also manage
+        participants, invites and scenarios and re-run analyses. Owners can also manage staff users.
+      </p>
+    </div>
+  `;
+
+  const form = container.querySelector('#user-edit-form');
+  form.elements.name.value = user.name;
+  form.elements.role.value = user.role;
+  const errorEl = container.querySelector('#user-edit-error');
+
+  const save = async (changes) => {
+    errorEl.textContent = '';
+    try {
+      await updateUser(id, changes);
+      if (id === currentUser.id && (changes.password || changes.role || changes.disabled)) {
+        // Own access changed; start over with a fresh sign-in
+        resetDashboard('Your account was updated. Please sign in again.');
+        return;
+      }
+      await loadUsers();
+      renderUserDetail(id);
+      document.getElementById('user-edit-status').textContent = 'Saved';
+    } catch (error) {
+      errorEl.textContent = error.message;
+    }
+  };
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const changes = { name: form.elements.name.value };
+    if (form.elements.role.value !== user.role) changes.role = form.elements.role.value;
+    if (form.elements.password.value) changes.password = form.elements.password.value;
+    save(changes);
+  });
+  container.querySelector('#user-disable-btn').addEventListener('click', () => {
+    if (!user.disabled && !confirm(`Disable ${user.name}? They will be signed out immediately.`)) return;
+    save({ disabled: !user.disabled });
+  });
+}
+
+// ---- Audit log (owners only) ----
+
+let auditNextCursor = null;
+let auditRequestId = 0;
+
+const AUDIT_FILTERS = {
+  'audit-actor': 'actorId',
+  'audit-action': 'action',
+  'audit-session': 'sessionId',
+  'audit-from': 'from',
+  'audit-to': 'to'
+};
+
+async function loadAuditView() {
+  try {
+    const [usersResponse, actionsResponse] = await Promise.all([
+      fetch(`${API_URL}/admin/users`, { headers: authHeaders() }),
+      fetch(`${API_URL}/admin/audit-log/actions`, { headers: authHeaders() })
+    ]);
+    if (!usersResponse.ok || !actionsResponse.ok) throw new Error('Failed to load audit filters');
+    const users = await usersResponse.json();
+    const actions = await actionsResponse.json();
+
+    const actorSelect = document.getElementById('audit-actor');
+    const actor = actorSelect.value;
+    actorSelect.innerHTML = '<option value="">All staff</option>' +
+      users.map(u => `<option value="${escapeHtml(u.id)}">${escapeHtml(u.name)}</option>`).join('');
+    actorSelect.value = actor;
+
+    const actionSelect = document.getElementById('audit-action');
+    const action = actionSelect.value;
+    actionSelect.innerHTML = '<option value="">All actions</option>' +
+      actions.map(a => `<option value="${escapeHtml(a)}">${escapeHtml(a)}</option>`).join('');
+    actionSelect.value = action;
+  } catch (error) {
+    console.error('Failed to load audit filters:', error);
+  }
+  loadAuditLog();
+}
+
+async function loadAuditLog({ append = false } = {}) {
+  const requestId = ++auditRequestId;
+  const tbody = document.getElementById('audit-entries');
+  const params = new URLSearchParams();
+  for (const [id, param] of Object.entries(AUDIT_FILTERS)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(param, value);
+  }
+  if (append && auditNextCursor) params.set('before', auditNextCursor);
+
+  try {
+    const response = await fetch(`${API_URL}/admin/audit-log?${params}`, { headers: authHeaders() });
+    if (requestId !== auditRequestId) return;
+    const page = await response.json();
+    if (!response.ok) {
+      tbody.innerHTML = `<tr><td colspan="6" class="no-sessions">${escapeHtml(page.error || 'Failed to load audit log')}</td></tr>`;
+      return;
+    }
+
+    auditNextCursor = page.nextCursor;
+    document.getElementById('audit-more-btn').classList.toggle('hidden', !auditNextCursor);
+
+    const rows = page.entries.map(entry => `
+      <tr>
+        <td>${escapeHtml(new Date(entry.created_at).toLocaleString('en-US'))}</td>
+        <td>${escapeHtml(entry.actor_email || 'Anonymous')}</td>
+        <td>${escapeHtml(entry.action)}</td>
+        <td>${auditTarget(entry)}</td>
+        <td><span class="status-badge${entry.status >= 400 ? ' failed' : ' succeeded'}">${escapeHtml(entry.status ?? '-')}</span></td>
+        <td class="muted">${escapeHtml(entry.details ? JSON.stringify(entry.details) : '')}</td>
+      </tr>
+    `).join('');
+
+    if (append) {
+      tbody.insertAdjacentHTML('beforeend', rows);
+    } else {
+      tbody.innerHTML = rows || '<tr><td colspan="6" class="no-sessions">No matching audit entries</td></tr>';
+    }
+  } catch (error) {
+    console.error('Failed to load audit log:', error);
+    tbody.innerHTML = '<tr><td colspan="6" class="no-sessions">Failed to load audit log. Please refresh.</td></tr>';
+  }
+}
+
+// Sessions and participants link to their detail views
+function auditTarget(entry) {
+  if (!entry.target_id) return '';
+  const label = `${entry.target_type} ${entry.target_type === 'session' ? `#${entry.target_id.slice(-6)}` : entry.target_id}`;
+  if (entry.target_type === 'session' || entry.target_type === 'participant') {
+    return `<button type="button" class="link-btn" data-audit-${entry.target_type}="${escapeHtml(entry.target_id)}">${escapeHtml(label)}</button>`;
+  }
+  return escapeHtml(label);
+}
+
+document.getElementById('audit-entries').addEventListener('click', (e) => {
+  const sessionBtn = e.target.closest('[data-audit-session]');
+  if (sessionBtn) openSession(sessionBtn.dataset.auditSession);
+  const participantBtn = e.target.closest('[data-audit-participant]');
+  if (participantBtn) {
+    switchView('participants');
+    loadParticipant(participantBtn.dataset.auditParticipant);
+  }
+});
+
+const auditFilters = document.getElementById('audit-filters');
+let auditDebounceTimer = null;
+auditFilters.addEventListener('submit', (e) => {
+  e.preventDefault();
+  loadAuditLog();
+});
+auditFilters.addEventListener('change', () => loadAuditLog());
+auditFilters.addEventListener('input', (e) => {
+  if (e.target.id !== 'audit-session') return;
+  clearTimeout(auditDebounceTimer);
+  auditDebounceTimer = setTimeout(() => loadAuditLog(), 300);
+});
+auditFilters.addEventListener('reset', () => setTimeout(() => loadAuditLog(), 0));
+document.getElementById('audit-more-btn').addEventListener('click', () => loadAuditLog({ append: true }));
+
 // ---- Init ----
 
 (async function init() {
   // If we have a stored token, try it automatically
   if (getAdminToken()) {
     try {
-      const response = await fetch(`${API_URL}/admin/sessions`, { headers: authHeaders() });
+      const response = await fetch(`${API_URL}/admin/me`, { headers: authHeaders() });
 
       if (response.ok) {
-        const sessions = await response.json();
-        showDashboard();
-        renderSessions(sessions);
+        showDashboard(await response.json());
         return;
       }
     } catch (err) {
@@ -1,21 +1,29 @@
 const API_URL = window.location.origin + '/api';
 
 let currentSessionId = null;
+let currentSessionToken = null; // scoped to currentSessionId; sent with turns
 let currentScenario = null;
+let currentInviteCode = null;
+let currentLanguage = null; // { code, nativeName, locale } the session is held in
 let currentTranscript = [];
 let isRecording = false;
 let speechSynthesis = window.speechSynthesis;
 
 // STT state
-let sttMode = null; // 'whisper' or 'browser'
+let sttMode = null; // 'server' or 'browser'
+let sttLabel = ''; // server provider and model, for the badge
 let mediaStream = null;
 let mediaRecorder = null;
 let audioChunks = [];
+let responseLatencyMs = null; // AI finished speaking -> recording started
+let liveTranscription = false; // server can caption while recording
+let liveSession = null; // live transcription of the current recording
 
-// Browser STT fallback (only initialized if whisper is unavailable)
+// Browser STT fallback (only initialized if server transcription is unavailable)
 let recognition = null;
 let lastRecognizedText = '';
-let sendingMessage = false;
+let replyInFlight = null; // the turn being sent, until its reply has streamed in
+let processingTurn = null; // stopRecording(), between stopping a recording and sending it
 
 function escapeHtml(str) {
   if (!str) return '';
@@ -29,13 +37,19 @@ function escapeHtml(str) {
 
 // ---- STT Mode Detection ----
 
-async function detectSttMode() {
+// For the language the session will be held in
+async function detectSttMode(language) {
   try {
-    const res = await fetch(`${API_URL}/stt-status`);
+    const res = await fetch(`${API_URL}/stt-status?language=${encodeURIComponent(language)}`);
     const status = await res.json();
-    if (status.whisperAvailable) {
-      sttMode = 'whisper';
-      console.log('STT mode: whisper.cpp (server-side)');
+    // Only server-side transcription sees the audio, so only it can keep it
+    document.getElementById('recording-notice').classList.toggle('hidden', !(status.audioRecording && status.available));
+    if (status.handsFreeSilenceMs) handsFreeSilenceMs = status.handsFreeSilenceMs;
+    if (status.available) {
+      sttLabel = status.model ? `${status.label}, ${status.model}` : status.label;
+      sttMode = 'server';
+      liveTranscription = Boolean(status.liveTranscription) && 'WebSocket' in window;
+      console.log(`STT mode: server-side (${sttLabel})`);
       updateSttBadge();
       return;
     }
@@ -53,19 +67,19 @@ function updateSttBadge() {
   const badge = document.getElementById('stt-mode-badge');
   if (!badge) return;
 
-  badge.classList.remove('hidden', 'whisper', 'browser');
-  if (sttMode === 'whisper') {
-    badge.textContent = 'STT: whisper.cpp (server)';
-    badge.classList.add('whisper');
+  badge.classList.remove('hidden', 'server', 'browser');
+  if (sttMode === 'server') {
+    badge.textContent = `STT: ${sttLabel} (server)`;
+    badge.classList.add('server');
   } else {
     badge.textContent = 'STT: browser speech recognition (fallback)';
     badge.classList.add('browser');
   }
 }
 
-// ---- Whisper Mode: MediaRecorder ----
+// ---- Server Mode: MediaRecorder ----
 
-async function startWhisperRecording() {
+async function startServerRecording() {
   try {
     audioChunks = [];
     mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -76,10 +90,18 @@ async function startWhisperRecording() {
     mediaRecorder.ondataavailable = (event) => {
       if (event.data.size > 0) {
         audioChunks.push(event.data);
+        if (liveSession) sendLiveChunks(liveSession);
       }
     };
 
-    mediaRecorder.start();
+    // Speaking over the AI counts as an immediate response
+    responseLatencyMs = speechPlaying ? 0 : (speechFinishedAt ? Date.now() - speechFinishedAt : null);
+    if (liveTranscription) {
+      liveSession = openLiveTranscription();
+      mediaRecorder.start(LIVE_CHUNK_MS);
+    } else {
+      mediaRecorder.start();
+    }
     setStatus('Listening...');
   } catch (err) {
     console.error('Failed to start audio recording:', err);
@@ -103,9 +125,11 @@ function getSupportedMimeType() {
   return ''; // let browser pick default
 }
 
-async function stopWhisperRecording() {
+// Resolves once the recording is transcribed, to { turn }: the promise of
+// sending it (see sendMessage), or null if nothing was sent
+async function stopServerRecording() {
   if (!mediaRecorder || mediaRecorder.state === 'inactive') {
-    return;
+    return { turn: null };
   }
 
   return new Promise((resolve) => {
@@ -116,9 +140,12 @@ async function stopWhisperRecording() {
         mediaStream = null;
       }
 
+      const live = liveSession;
+      liveSession = null;
       if (audioChunks.length === 0) {
+        if (live) live.socket.close();
         setStatus('');
-        resolve();
+        resolve({ turn: null });
         return;
       }
 
@@ -127,10 +154,13 @@ async function stopWhisperRecording() {
 
       setStatus('Transcribing...');
 
+      let turn = null;
       try {
-        const text = await transcribeAudio(audioBlob);
+        const { text, audioId } = live
+          ? await finishLiveTranscription(live, audioBlob)
+          : await transcribeAudio(audioBlob);
         if (text && text.trim()) {
-          sendMessage(text.trim());
+          turn = sendMessage(text.trim(), audioId);
         } else {
           setStatus('No speech detected. Try again.');
           setTimeout(() => setStatus(''), 2000);
@@ -138,12 +168,15 @@ async function stopWhisperRecording() {
       } catch (err) {
         console.error('Transcription failed:', err);
 
-        // If whisper fails at runtime, offer fallback
+        // If server transcription fails at runtime, offer fallback
         if (err.status === 503) {
-          console.warn('Whisper became unavailable, switching to browser STT fallback');
+          console.warn('Server transcription became unavailable, switching to browser STT fallback');
           sttMode = 'browser';
           updateSttBadge();
-          setStatus('Whisper unavailable. Switched to browser speech recognition.');
+          setStatus('Server transcription unavailable. Switched to browser speech recognition.');
+          setTimeout(() => setStatus(''), 3000);
+        } else if (err.status === 429) {
+          setStatus('The server is busy right now. Please try again in a moment.');
           setTimeout(() => setStatus(''), 3000);
         } else {
           setStatus('Transcription error. Try again.');
@@ -151,19 +184,24 @@ async function stopWhisperRecording() {
         }
       }
 
-      resolve();
+      // Wrapped, or the promise would wait for the reply
+      resolve({ turn });
     };
 
     mediaRecorder.stop();
   });
 }
 
+// Returns { text, audioId }; audioId is set when the server kept the recording
 async function transcribeAudio(audioBlob) {
   const formData = new FormData();
   formData.append('audio', audioBlob, 'recording.webm');
+  if (responseLatencyMs !== null) formData.append('latencyMs', String(responseLatencyMs));
 
-  const response = await fetch(`${API_URL}/transcribe`, {
+  // Streamed so we can say where the participant is in the server's queue
+  const response = await fetch(`${API_URL}/sessions/${currentSessionId}/transcribe`, {
     method: 'POST',
+    headers: { 'Accept': 'text/event-stream', ...sessionAuthHeaders() },
     body: formData,
   });
 
@@ -173,8 +211,93 @@ async function transcribeAudio(audioBlob) {
     throw err;
   }
 
-  const data = await response.json();
-  return data.text;
+  let result = null;
+  await readEventStream(response, (event, data) => {
+    if (event === 'queued') {
+      setStatus(data.position === 1
+        ? 'Waiting to transcribe (you\'re next)...'
+        : `Waiting to transcribe (${data.position - 1} ahead of you)...`);
+    } else if (event === 'transcribing') {
+      setStatus('Transcribing...');
+    } else if (event === 'done') {
+      result = data;
+    } else if (event === 'error') {
+      throw Object.assign(new Error(data.error || 'Transcription failed'), { status: data.status });
+    }
+  });
+
+  if (!result) throw new Error('Transcription stream ended early');
+  return { text: result.text, audioId: result.audioId || null };
+}
+
+// ---- Server Mode: live captions ----
+//
+// While recording, MediaRecorder chunks are streamed to the server over a
+// WebSocket and it answers with partial transcripts, shown like the browser
+// fallback's interim results. When recording stops the same socket delivers
+// the final transcription; if the socket fails, the recording is uploaded
+// instead.
+
+const LIVE_CHUNK_MS = 1000;
+
+function openLiveTranscription() {
+  const socket = new WebSocket(`${API_URL.replace(/^http/, 'ws')}/sessions/${currentSessionId}/live`);
+  socket.binaryType = 'arraybuffer';
+  const live = { socket, sent: 0, stopped: false };
+
+  live.result = new Promise((resolve, reject) => {
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: 'start', token: currentSessionToken, latencyMs: responseLatencyMs }));
+      sendLiveChunks(live);
+    };
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'partial') {
+        if (!live.stopped && message.text) setStatus(`Heard: ${message.text}`);
+      } else if (message.type === 'queued') {
+        setStatus(message.position === 1
+          ? 'Waiting to transcribe (you\'re next)...'
+          : `Waiting to transcribe (${message.position - 1} ahead of you)...`);
+      } else if (message.type === 'transcribing') {
+        setStatus('Transcribing...');
+      } else if (message.type === 'final') {
+        resolve({ text: message.text, audioId: message.audioId || null });
+      } else if (message.type === 'error') {
+        reject(Object.assign(new Error(message.error || 'Transcription failed'), { status: message.status }));
+      }
+    };
+    // After `final` or `error` this is a no-op
+    socket.onclose = () => reject(new Error('Live transcription connection closed'));
+  });
+  live.result.catch(() => {}); // handled in finishLiveTranscription
+
+  return live;
+}
+
+// Send whatever the recorder has produced since last time
+function sendLiveChunks(live) {
+  if (live.socket.readyState !== WebSocket.OPEN) return;
+  while (live.sent < audioChunks.length) {
+    live.socket.send(audioChunks[live.sent++]);
+  }
+}
+
+// Ask for the final transcription; falls back to uploading the recording if
+// the live connection didn't work out
+async function finishLiveTranscription(live, audioBlob) {
+  live.stopped = true;
+  if (live.socket.readyState === WebSocket.OPEN) {
+    try {
+      live.socket.send(JSON.stringify({ type: 'stop' }));
+      return await live.result;
+    } catch (err) {
+      if (err.status) throw err; // the server answered; uploading won't help
+      console.warn('Live transcription failed, uploading the recording instead:', err);
+    }
+  } else {
+    live.socket.close();
+  }
+  return transcribeAudio(audioBlob);
 }
 
 // ---- Browser Speech Recognition Fallback ----
@@ -185,8 +308,8 @@ function initBrowserSpeechRecognition() {
   if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
     console.warn('Browser SpeechRecognition not available in this browser.');
     // Only alert if there's truly no STT option at all
-    if (sttMode !== 'whisper') {
-      setStatus('Browser speech recognition not supported. Server-side whisper is also unavailable.');
+    if (sttMode !== 'server') {
+      setStatus('Browser speech recognition not supported. Server-side transcription is also unavailable.');
     }
     return;
   }
@@ -221,28 +344,28 @@ function startBrowserRecording() {
   if (!recognition) return; // browser doesn't support it
 
   lastRecognizedText = '';
+  recognition.lang = currentLanguage ? currentLanguage.locale : 'en-US';
   recognition.start();
 }
 
+// Returns { turn } like stopServerRecording
 function stopBrowserRecording() {
-  if (!recognition) return;
+  if (!recognition) return { turn: null };
 
   recognition.stop();
 
   const text = lastRecognizedText.trim();
   lastRecognizedText = '';
 
-  if (text) {
-    sendMessage(text);
-  }
   setStatus('');
+  return { turn: text ? sendMessage(text) : null };
 }
 
 // ---- Unified Recording Controls ----
 
 function startRecording() {
-  if (sttMode === 'whisper') {
-    startWhisperRecording();
+  if (sttMode === 'server') {
+    startServerRecording();
   } else {
     // Lazy-init browser speech recognition only when actually falling back
     if (!recognition) {
@@ -251,38 +374,145 @@ function startRecording() {
     if (recognition) {
       startBrowserRecording();
     } else {
-      setStatus('No speech recognition available. Set up whisper on the server, or use Chrome/Edge.');
+      setStatus('No speech recognition available. Set up transcription on the server, or use Chrome/Edge.');
     }
   }
 }
 
+// Resolves once the recording is transcribed, to { turn }: the promise of
+// the turn being sent and its reply streamed in, or null if nothing was sent
 async function stopRecording() {
-  if (sttMode === 'whisper') {
-    await stopWhisperRecording();
-  } else {
-    stopBrowserRecording();
+  if (sttMode === 'server') {
+    return stopServerRecording();
+  }
+  return stopBrowserRecording();
+}
+
+// ---- Hands-free Mode ----
+//
+// Optional voice activity detection on the microphone, for participants who
+// find the record button awkward. Listening starts when the AI finishes
+// speaking, and the turn is sent once the participant has spoken and then
+// stayed quiet for handsFreeSilenceMs. Talking over the AI (barge-in) stops
+// its speech and starts listening straight away.
+//
+// Speech is anything louder than a multiple of the room's background noise,
+// which is learned while nobody is talking.
+
+const HANDS_FREE_TICK_MS = 50;
+const SPEECH_START_MS = 200; // loud this long before it counts as speech
+const BARGE_IN_MS = 400; // longer, so the AI's own voice leaking back doesn't count
+const MIN_SPEECH_LEVEL = 0.02; // RMS
+const NOISE_MARGIN = 3;
+
+let handsFreeSilenceMs = 1500; // the server can change it
+const handsFree = {
+  enabled: false,
+  stream: null,
+  context: null,
+  analyser: null,
+  samples: null,
+  timer: null,
+  noiseFloor: 0.01,
+  loudSince: null,
+  quietSince: null,
+  heardSpeech: false, // during the current recording
+};
+
+function handsFreeSupported() {
+  return Boolean(window.AudioContext && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+async function enableHandsFree() {
+  if (handsFree.enabled) return true;
+  try {
+    handsFree.stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: true, noiseSuppression: true },
+    });
+  } catch (err) {
+    console.error('Failed to start hands-free mode:', err);
+    setStatus('Microphone access denied');
+    return false;
+  }
+
+  handsFree.context = new AudioContext();
+  handsFree.context.resume().catch(() => {});
+  handsFree.analyser = handsFree.context.createAnalyser();
+  handsFree.analyser.fftSize = 1024;
+  handsFree.context.createMediaStreamSource(handsFree.stream).connect(handsFree.analyser);
+  handsFree.samples = new Float32Array(handsFree.analyser.fftSize);
+  Object.assign(handsFree, { enabled: true, loudSince: null, quietSince: null, heardSpeech: isRecording });
+  handsFree.timer = setInterval(checkVoiceActivity, HANDS_FREE_TICK_MS);
+
+  listenHandsFree();
+  return true;
+}
+
+function disableHandsFree() {
+  if (!handsFree.enabled) return;
+  handsFree.enabled = false;
+  clearInterval(handsFree.timer);
+  handsFree.stream.getTracks().forEach(track => track.stop());
+  handsFree.context.close().catch(() => {});
+  Object.assign(handsFree, { stream: null, context: null, analyser: null, samples: null, timer: null });
+}
+
+// Start listening for the participant's turn, if it's their turn
+function listenHandsFree() {
+  if (!handsFree.enabled || isRecording || processingTurn || replyInFlight || speechPlaying) return;
+  if (!currentSessionId || document.getElementById('conversation').classList.contains('hidden')) return;
+  handsFree.heardSpeech = false;
+  beginSpeaking();
+}
+
+// Microphone loudness (RMS) right now
+function voiceLevel() {
+  handsFree.analyser.getFloatTimeDomainData(handsFree.samples);
+  let sum = 0;
+  for (const sample of handsFree.samples) sum += sample * sample;
+  return Math.sqrt(sum / handsFree.samples.length);
+}
+
+function checkVoiceActivity() {
+  const now = Date.now();
+  const level = voiceLevel();
+  const loud = level > Math.max(handsFree.noiseFloor * NOISE_MARGIN, MIN_SPEECH_LEVEL);
+  handsFree.loudSince = loud ? (handsFree.loudSince || now) : null;
+  handsFree.quietSince = loud ? null : (handsFree.quietSince || now);
+  const loudFor = handsFree.loudSince ? now - handsFree.loudSince : 0;
+
+  if (isRecording) {
+    if (loudFor >= SPEECH_START_MS) handsFree.heardSpeech = true;
+    if (handsFree.heardSpeech && handsFree.quietSince && now - handsFree.quietSince >= handsFreeSilenceMs) {
+      handsFree.heardSpeech = false;
+      finishSpeaking();
+    }
+  } else if (speechPlaying) {
+    if (loudFor >= BARGE_IN_MS && !processingTurn) {
+      interruptSpeech();
+      handsFree.heardSpeech = true;
+      beginSpeaking();
+    }
+  } else if (loudFor >= SPEECH_START_MS) {
+    // Speaking up when we weren't listening (e.g. after "No speech detected")
+    listenHandsFree();
+    handsFree.heardSpeech = isRecording;
+  }
+
+  if (!loud && !speechPlaying) {
+    handsFree.noiseFloor = handsFree.noiseFloor * 0.95 + level * 0.05;
   }
 }
 
 // ---- Scenarios & Session ----
 
+// Scenarios offered in the chosen language, translated into it
 async function loadScenarios() {
   try {
-    const response = await fetch(`${API_URL}/scenarios`);
+    const response = await fetch(`${API_URL}/scenarios?language=${encodeURIComponent(languageSelect.value || 'en')}`);
     if (!response.ok) throw new Error('Failed to load scenarios');
     const scenarios = await response.json();
-
-    const list = document.getElementById('scenarios-list');
-    list.innerHTML = scenarios.map(s => `
-      <div class="scenario-card" data-id="${escapeHtml(s.id)}">
-        <h3>${escapeHtml(s.name)}</h3>
-        <p>${escapeHtml(s.description)}</p>
-      </div>
-    `).join('');
-
-    list.querySelectorAll('.scenario-card').forEach(card => {
-      card.addEventListener('click', () => startSession(card.dataset.id));
-    });
+    renderScenarioCards(scenarios);
   } catch (error) {
     console.error('Failed to load scenarios:', error);
     const list = document.getElementById('scenarios-list');
@@ -290,20 +520,104 @@ async function loadScenarios() {
   }
 }
 
+function renderScenarioCards(scenarios) {
+  const list = document.getElementById('scenarios-list');
+  list.innerHTML = scenarios.map(s => `
+    <div class="scenario-card" data-id="${escapeHtml(s.id)}">
+      <h3>${escapeHtml(s.name)}</h3>
+      <p>${escapeHtml(s.description)}</p>
+    </div>
+  `).join('');
+
+  list.querySelectorAll('.scenario-card').forEach(card => {
+    card.addEventListener('click', () => startSession(card.dataset.id));
+  });
+}
+
+// ---- Invites ----
+
+// An invite preassigns the scenario, so only that one is offered
+async function loadInvite(code) {
+  const errorEl = document.getElementById('invite-error');
+  errorEl.textContent = '';
+
+  try {
+    const response = await fetch(`${API_URL}/invites/${encodeURIComponent(code)}`);
+    const data = await response.json();
+    if (!response.ok) {
+      errorEl.textContent = data.error || 'Invite not found.';
+      return false;
+    }
+
+    currentInviteCode = data.code;
+    document.getElementById('scenario-heading').textContent = `Welcome, ${data.participantName}`;
+    document.getElementById('invite-form').classList.add('hidden');
+    renderLanguageOptions(data.scenario.languages);
+    renderScenarioCards([data.scenario]);
+    return true;
+  } catch (error) {
+    console.error('Failed to load invite:', error);
+    errorEl.textContent = 'Failed to load invite. Please try again.';
+    return false;
+  }
+}
+
+document.getElementById('invite-form').addEventListener('submit', (e) => {
+  e.preventDefault();
+  const code = document.getElementById('invite-code').value.trim();
+  if (code) loadInvite(code);
+});
+
+// ---- Languages ----
+//
+// Only the conversation itself is translated; the page stays in English.
+
+const languageSelect = document.getElementById('language-select');
+
+// Offer the given languages, keeping the last choice if it's among them.
+// There's nothing to choose with only one.
+function renderLanguageOptions(languages) {
+  const previous = languageSelect.value || localStorage.getItem('language');
+  languageSelect.innerHTML = languages.map(l => `
+    <option value="${escapeHtml(l.code)}">${escapeHtml(l.nativeName)}</option>
+  `).join('');
+  if (languages.some(l => l.code === previous)) languageSelect.value = previous;
+  document.getElementById('language-choice').classList.toggle('hidden', languages.length < 2);
+}
+
+async function loadLanguages() {
+  try {
+    const response = await fetch(`${API_URL}/languages`);
+    if (!response.ok) throw new Error('Failed to load languages');
+    renderLanguageOptions(await response.json());
+  } catch (error) {
+    console.error('Failed to load languages:', error);
+  }
+}
+
+languageSelect.addEventListener('change', () => {
+  localStorage.setItem('language', languageSelect.value);
+  // Invites offer only their own scenario
+  if (!currentInviteCode) loadScenarios();
+});
+
 async function startSession(scenarioId) {
+  const language = languageSelect.value || 'en';
   try {
-    // Detect STT mode before starting the session
-    await detectSttMode();
+    // Detect STT and TTS modes before starting the session
+    await Promise.all([detectSttMode(language), detectTtsMode()]);
 
     const response = await fetch(`${API_URL}/sessions`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ scenarioId })
+      body: JSON.stringify(currentInviteCode ? { inviteCode: currentInviteCode, language } : { scenarioId, language })
     });
 
     if (!response.ok) throw new Error('Failed to start session');
-    const { sessionId, scenario, transcript } = await response.json();
+    const { sessionId, accessToken, scenario, transcript, language: sessionLanguage } = await response.json();
     currentSessionId = sessionId;
+    currentSessionToken = accessToken;
+    currentLanguage = sessionLanguage;
     currentScenario = scenario;
     currentTranscript = transcript;
 
@@ -312,12 +626,17 @@ async function startSession(scenarioId) {
 
     displayTranscript(currentTranscript);
     speak(scenario.initialMessage);
+    if (handsFreeToggle.checked && !await enableHandsFree()) handsFreeToggle.checked = false;
   } catch (error) {
     console.error('Failed to start session:', error);
     setStatus('Failed to start session. Please try again.');
   }
 }
 
+function sessionAuthHeaders() {
+  return currentSessionToken ? { 'Authorization': `Bearer ${currentSessionToken}` } : {};
+}
+
 // ---- Transcript ----
 
 function displayTranscript(messages) {
@@ -334,102 +653,307 @@ function displayTranscript(messages) {
 
 // ---- Conversation ----
 
-async function sendMessage(text) {
-  if (sendingMessage) return; // prevent concurrent sends
-  sendingMessage = true;
+// audioId links the message to its kept recording, if there is one
+async function sendMessage(text, audioId = null) {
+  // Someone who talks over a reply can finish before it has streamed in;
+  // their turn follows it
+  while (replyInFlight) await replyInFlight;
+  replyInFlight = sendTurn(text, audioId).finally(() => {
+    replyInFlight = null;
+    listenHandsFree();
+  });
+  return replyInFlight;
+}
+
+async function sendTurn(text, audioId) {
+  speechInterrupted = false;
   setStatus('Processing...');
 
-  currentTranscript.push({ role: 'user', content: text });
+  const userMessage = { role: 'user', content: text };
+  const reply = { role: 'assistant', content: '' };
+  currentTranscript.push(userMessage);
   displayTranscript(currentTranscript);
 
   try {
-    const response = await fetch(`${API_URL}/conversation`, {
+    // The server records both sides of the turn in the session transcript
+    const response = await fetch(`${API_URL}/sessions/${currentSessionId}/turns/stream`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        scenario: currentScenario,
-        transcript: currentTranscript.slice(0, -1),
-        message: text
-      })
+      headers: { 'Content-Type': 'application/json', ...sessionAuthHeaders() },
+      body: JSON.stringify(audioId ? { message: text, audioId } : { message: text })
     });
 
+    if (response.status === 401) {
+      throw Object.assign(new Error('Session token rejected'), { expired: true });
+    }
     if (!response.ok) throw new Error('Conversation request failed');
-    const { response: aiResponse } = await response.json();
 
-    currentTranscript.push({ role: 'assistant', content: aiResponse });
-    displayTranscript(currentTranscript);
-
-    await fetch(`${API_URL}/sessions/${currentSessionId}/transcript`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ transcript: currentTranscript })
+    currentTranscript.push(reply);
+    let unspoken = '';
+    let completed = false;
+
+    await readEventStream(response, (event, data) => {
+      if (event === 'token') {
+        reply.content += data.text;
+        displayTranscript(currentTranscript);
+
+        // Start speaking each sentence as soon as it is complete
+        unspoken += data.text;
+        const { sentences, rest } = splitSentences(unspoken);
+        sentences.forEach(queueSpeech);
+        unspoken = rest;
+      } else if (event === 'done') {
+        completed = true;
+      } else if (event === 'error') {
+        throw new Error(data.error || 'Conversation failed');
+      }
     });
 
-    speak(aiResponse);
+    if (!completed) throw new Error('Conversation stream ended early');
+
+    if (unspoken.trim()) queueSpeech(unspoken.trim());
+    if (!speechPlaying) setStatus('');
   } catch (error) {
     console.error('Error:', error);
-    setStatus('Error processing message');
-  } finally {
-    sendingMessage = false;
+    stopSpeaking();
+    // The turn wasn't recorded, so drop it from the local transcript too
+    currentTranscript = currentTranscript.filter(m => m !== userMessage && m !== reply);
+    displayTranscript(currentTranscript);
+    setStatus(error.expired
+      ? 'This session has expired. Please start a new conversation.'
+      : 'Error processing message');
+  }
+}
+
+// Parse a text/event-stream response body, calling onEvent(event, data) for
+// each event. Resolves when the stream ends; rejects if onEvent throws.
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = 'message';
+        const dataLines = [];
+        raw.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+        });
+        if (dataLines.length > 0) {
+          onEvent(event, JSON.parse(dataLines.join('\n')));
+        }
+      }
+    }
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
   }
 }
 
+// Split off complete sentences (ending punctuation followed by whitespace);
+// whatever follows the last boundary is returned as `rest`
+function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?]+["')\]]*\s+/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(text))) {
+    const end = match.index + match[0].length;
+    const sentence = text.slice(start, end).trim();
+    if (sentence) sentences.push(sentence);
+    start = end;
+  }
+  return { sentences, rest: text.slice(start) };
+}
+
 // ---- TTS ----
 
+let serverTts = false; // the server can speak replies; otherwise the browser does
+
+async function detectTtsMode() {
+  try {
+    const res = await fetch(`${API_URL}/tts-status`);
+    serverTts = Boolean((await res.json()).available);
+  } catch (err) {
+    console.warn('Could not check TTS status:', err);
+    serverTts = false;
+  }
+}
+
+// Sentences waiting to be spoken, in order. Audio for each one is requested as
+// soon as it's queued and starts loading straight away, so synthesis overlaps
+// playback of earlier sentences.
+let speechQueue = [];
+let speechPlaying = false;
+let speechGeneration = 0; // bumped by stopSpeaking() to ignore stale callbacks
+let currentAudio = null;
+let speechFinishedAt = null; // when the queue last ran dry, for response latency
+let speechInterrupted = false; // the participant talked over the current reply
+let conversationEnded = false; // nothing more is spoken once it's over
+
 function speak(text) {
-  setStatus('Speaking...');
+  queueSpeech(text);
+}
 
-  fetch(`${API_URL}/tts`, {
+function queueSpeech(text) {
+  if (speechInterrupted || conversationEnded) return; // don't resume a reply they talked over
+  speechQueue.push({ text, audio: loadSpeechAudio(text) });
+  if (!speechPlaying) playNextSpeech();
+}
+
+// Resolves to an <audio> element already loading the speech, or null to have
+// the browser speak. The server speaks in the voice of the session's
+// character and streams the audio, so playback can start before synthesis
+// finishes.
+function loadSpeechAudio(text) {
+  if (!serverTts) return Promise.resolve(null);
+  return fetch(`${API_URL}/sessions/${currentSessionId}/tts`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...sessionAuthHeaders() },
     body: JSON.stringify({ text })
   })
-  .then(res => res.json())
+  .then(res => res.ok ? res.json() : null)
   .then(data => {
-    if (data.audio) {
-      const audio = new Audio(`data:audio/mpeg;base64,${data.audio}`);
-      audio.onended = () => setStatus('');
-      audio.onerror = () => {
-        browserSpeak(text);
-      };
-      audio.play().catch(() => {
-        browserSpeak(text);
-      });
-    } else {
-      browserSpeak(text);
-    }
+    if (!data || !data.url) return null;
+    const audio = new Audio();
+    audio.preload = 'auto';
+    audio.src = data.url;
+    return audio;
   })
-  .catch(() => {
-    browserSpeak(text);
-  });
+  .catch(() => null);
+}
+
+// Stop an <audio> element playing or loading
+function discardAudio(audio) {
+  audio.pause();
+  audio.removeAttribute('src');
+  audio.load();
 }
 
-function browserSpeak(text) {
+async function playNextSpeech() {
+  const generation = speechGeneration;
+  const item = speechQueue.shift();
+  if (!item) {
+    speechPlaying = false;
+    speechFinishedAt = Date.now();
+    setStatus('');
+    listenHandsFree();
+    return;
+  }
+
+  speechPlaying = true;
+  setStatus('Speaking...');
+
+  const audio = await item.audio;
+  if (generation !== speechGeneration) return; // stopped while waiting
+
+  if (!audio) {
+    browserSpeak(item.text, generation);
+    return;
+  }
+
+  let fellBack = false;
+  const fallBack = () => {
+    if (fellBack || generation !== speechGeneration) return;
+    fellBack = true;
+    currentAudio = null;
+    browserSpeak(item.text, generation);
+  };
+
+  currentAudio = audio;
+  audio.onended = () => {
+    if (generation !== speechGeneration) return;
+    currentAudio = null;
+    playNextSpeech();
+  };
+  audio.onerror = fallBack;
+  audio.play().catch(fallBack);
+}
+
+function browserSpeak(text, generation = speechGeneration) {
+  const next = () => {
+    if (generation === speechGeneration) playNextSpeech();
+  };
   const utterance = new SpeechSynthesisUtterance(text);
-  utterance.rate = 1;
-  utterance.onend = () => setStatus('');
-  utterance.onerror = () => setStatus('');
+  applyBrowserVoice(utterance);
+  utterance.onend = next;
+  utterance.onerror = next;
   speechSynthesis.speak(utterance);
 }
 
+// Use the scenario's browser voice settings, if it has any: a named voice,
+// or else one for its language (by default the session's), plus rate and
+// pitch
+function applyBrowserVoice(utterance) {
+  const settings = (currentScenario && currentScenario.voice && currentScenario.voice.browser) || {};
+  const lang = settings.lang || (currentLanguage && currentLanguage.locale);
+  const voices = speechSynthesis.getVoices();
+  const voice = (settings.name && voices.find(v => v.name === settings.name))
+    || (lang && voices.find(v => v.lang === lang));
+  if (voice) utterance.voice = voice;
+  if (lang) utterance.lang = lang;
+  utterance.rate = settings.rate || 1;
+  if (settings.pitch) utterance.pitch = settings.pitch;
+}
+
+// Stop the current sentence and drop anything still queued
+function stopSpeaking() {
+  speechGeneration++;
+  speechQueue.forEach(item => item.audio.then(audio => audio && discardAudio(audio)));
+  speechQueue = [];
+  if (speechPlaying) speechFinishedAt = Date.now();
+  speechPlaying = false;
+  if (currentAudio) {
+    discardAudio(currentAudio);
+    currentAudio = null;
+  }
+  if (speechSynthesis) speechSynthesis.cancel();
+}
+
+// Barge-in: stop speaking, including the rest of a reply still streaming in
+function interruptSpeech() {
+  speechInterrupted = true;
+  stopSpeaking();
+}
+
 // ---- End / Analyze ----
 
 async function endConversation() {
-  // Stop any active recording
+  disableHandsFree();
+  conversationEnded = true;
+  stopSpeaking();
+  document.getElementById('end-btn').disabled = true;
+
+  // Send the turn being recorded, and let any reply still streaming in be
+  // recorded, so the analysis sees the whole conversation
+  setStatus('Finishing up...');
+  let turn = null;
   if (isRecording) {
     isRecording = false;
     const btn = document.getElementById('record-btn');
     btn.classList.remove('recording');
     btn.textContent = 'Start Speaking';
-    await stopRecording();
+    ({ turn } = await stopRecording());
+  } else if (processingTurn) {
+    ({ turn } = await processingTurn.catch(() => ({ turn: null })));
   }
-  
-  // Stop any active speech
-  if (speechSynthesis) speechSynthesis.cancel();
-  
+  if (turn) await turn;
+  while (replyInFlight) await replyInFlight;
+  stopSpeaking();
+
   // Kick off background analysis (fire-and-forget)
   fetch(`${API_URL}/sessions/${currentSessionId}/analyze`, {
-    method: 'POST'
+    method: 'POST',
+    headers: sessionAuthHeaders()
   }).catch(() => {});
 
   // Immediately show the completion screen
@@ -444,31 +968,70 @@ function setStatus(text) {
   document.getElementById('status').textContent = text;
 }
 
+// Start the participant's turn (record button, or hands-free mode)
+function beginSpeaking() {
+  const btn = document.getElementById('record-btn');
+  isRecording = true;
+  btn.classList.add('recording');
+  btn.textContent = 'Stop Speaking';
+  startRecording();
+}
+
+// Stop recording and send the turn
+async function finishSpeaking() {
+  const btn = document.getElementById('record-btn');
+  isRecording = false;
+  btn.disabled = true;
+  btn.classList.remove('recording');
+  btn.textContent = 'Processing...';
+  try {
+    processingTurn = stopRecording();
+    await processingTurn;
+  } finally {
+    processingTurn = null;
+    btn.textContent = 'Start Speaking';
+    btn.disabled = false;
+  }
+  listenHandsFree();
+}
+
 // Record button - toggle start/stop
 document.getElementById('record-btn').addEventListener('click', async () => {
   const btn = document.getElementById('record-btn');
   if (btn.disabled) return;
-  
+
   if (isRecording) {
-    isRecording = false;
-    btn.disabled = true;
-    btn.classList.remove('recording');
-    btn.textContent = 'Processing...';
-    await stopRecording();
-    btn.textContent = 'Start Speaking';
-    btn.disabled = false;
+    await finishSpeaking();
   } else {
-    isRecording = true;
-    btn.classList.add('recording');
-    btn.textContent = 'Stop Speaking';
-    startRecording();
+    beginSpeaking();
   }
 });
 
+const handsFreeToggle = document.getElementById('hands-free-toggle');
+if (handsFreeSupported()) {
+  handsFreeToggle.checked = localStorage.getItem('handsFree') === 'on';
+  handsFreeToggle.addEventListener('change', async () => {
+    localStorage.setItem('handsFree', handsFreeToggle.checked ? 'on' : 'off');
+    if (!handsFreeToggle.checked) {
+      disableHandsFree();
+    } else if (currentSessionId && !await enableHandsFree()) {
+      handsFreeToggle.checked = false;
+    }
+  });
+} else {
+  document.getElementById('hands-free').classList.add('hidden');
+}
+
 document.getElementById('end-btn').addEventListener('click', endConversation);
 
 document.getElementById('new-btn').addEventListener('click', () => {
-  location.reload();
+  // Drop any ?invite= parameter; invites are single-use
+  location.href = location.pathname;
 });
 
-loadScenarios().catch(err => console.error('Init error:', err));
+(async function init() {
+  const inviteCode = new URLSearchParams(location.search).get('invite');
+  if (inviteCode && await loadInvite(inviteCode)) return;
+  await loadLanguages();
+  await loadScenarios();
+})().catch(err => console.error('Init error:', err));
@@ -0,0 +1,88 @@
+// Stored recordings of participant turns.
+//
+// Off unless RECORD_AUDIO=true. When on, audio sent for transcription within
+// a session is compressed to mono AAC and kept in message_audio, then linked
+// to the participant's message when the turn is recorded, so assessors can
+// hear tone of voice. Recordings are not redacted: they are served to
+// assessors and owners only, and every playback is audited.
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const db = require('./db');
+
+const RECORDING_MIME_TYPE = 'audio/mp4';
+
+function isRecordingEnabled() {
+  return process.env.RECORD_AUDIO === 'true';
+}
+
+// Compress an uploaded recording to 32 kbps mono AAC. Returns the bytes.
+function compressRecording(inputPath, signal) {
+  return new Promise((resolve, reject) => {
+    const outputPath = inputPath + '.m4a';
+    execFile('ffmpeg', [
+      '-y', '-i', inputPath, '-vn', '-ac', '1', '-c:a', 'aac', '-b:a', '32k',
+      '-movflags', '+faststart', outputPath,
+    ], { timeout: 60000, signal }, async (error) => {
+      try {
+        if (error) throw new Error(`ffmpeg compression failed: ${error.message}`);
+        resolve(await fs.promises.readFile(outputPath));
+      } catch (err) {
+        reject(err);
+      } finally {
+        fs.promises.unlink(outputPath).catch(() => {});
+      }
+    });
+  });
+}
+
+// Compress and store a recording for a session under the id the client
+// sends back with the turn. Stops if the signal aborts.
+async function saveRecording(id, sessionId, inputPath, signal) {
+  const audio = await compressRecording(inputPath, signal);
+  await db.query(
+    'INSERT INTO message_audio (id, session_id, mime_type, audio) VALUES ($1, $2, $3, $4)',
+    [id, sessionId, RECORDING_MIME_TYPE, audio]
+  );
+  return id;
+}
+
+// Attach a recording to the message it was transcribed into. Runs on the
+// caller's transaction. Returns false if the recording doesn't exist, belongs
+// to another session or is already linked.
+async function linkRecording(client, recordingId, sessionId, messageId) {
+  const result = await client.query(
+    `UPDATE message_audio SET message_id = $3
+     WHERE id = $1 AND session_id = $2 AND message_id IS NULL`,
+    [recordingId, sessionId, messageId]
+  );
+  return result.rowCount > 0;
+}
+
+// Size and type of a session's recording, or null if it doesn't exist
+async function getRecordingInfo(sessionId, recordingId) {
+  const result = await db.query(
+    `SELECT mime_type, octet_length(audio) AS size FROM message_audio
+     WHERE id = $1 AND session_id = $2 AND message_id IS NOT NULL`,
+    [recordingId, sessionId]
+  );
+  const row = result.rows[0];
+  return row ? { mimeType: row.mime_type, size: row.size } : null;
+}
+
+// Read `length` bytes of a recording starting at byte `start`
+async function readRecording(recordingId, start, length) {
+  const result = await db.query(
+    'SELECT substring(audio FROM $2 FOR $3) AS chunk FROM message_audio WHERE id = $1',
+    [recordingId, start + 1, length]
+  );
+  return result.rows[0] ? result.rows[0].chunk : null;
+}
+
+module.exports = {
+  isRecordingEnabled,
+  saveRecording,
+  linkRecording,
+  getRecordingInfo,
+  readRecording,
+};
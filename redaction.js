@@ -0,0 +1,241 @@
+// PII redaction for participant messages.
+//
+// Messages are stored, analyzed and shown to staff with emails, phone numbers,
+// street addresses and configured names (REDACTION_NAMES, comma-separated:
+// colleagues, employers, etc.) replaced by placeholders. If
+// REDACTION_ENCRYPTION_KEY is set, the original text is also kept, encrypted
+// with AES-256-GCM, for owners who need to see exactly what was said.
+//
+// Transcripts come with or without capitals depending on the speech-to-text
+// provider, so detectors match regardless of case and go by the words around
+// a match instead (names only go by capitals in transcripts that have them).
+
+const crypto = require('crypto');
+
+const STREET_SUFFIXES = [
+  'street', 'st', 'avenue', 'ave', 'road', 'rd', 'boulevard', 'blvd', 'lane', 'ln',
+  'drive', 'dr', 'court', 'ct', 'way', 'place', 'pl', 'terrace', 'parkway', 'pkwy',
+  'circle', 'cir', 'highway', 'hwy',
+];
+
+// Words that can't be part of a street name: function words, pronouns and
+// verbs ("2 kids who drive to school") and things people count ("40 hours way
+// too much", "5 years on the road")
+const NON_STREET_WORDS = [
+  'the', 'a', 'an', 'in', 'on', 'of', 'to', 'and', 'or', 'but', 'so', 'my', 'your',
+  'our', 'their', 'his', 'her', 'its', 'for', 'at', 'with', 'by', 'from', 'this',
+  'that', 'these', 'those', 'all', 'up', 'down', 'out', 'back', 'into', 'over', 'more',
+  'i', 'me', 'you', 'he', 'him', 'she', 'we', 'us', 'they', 'them', 'it', 'who',
+  'which', 'what', 'when', 'where', 'why', 'how', 'is', 'are', 'was', 'were', 'be',
+  'been', 'am', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'can',
+  'could', 'should', 'may', 'might', 'must', 'just', 'only', 'still', 'too', 'very',
+  'times', 'years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds',
+  'people', 'kids', 'children', 'dollars', 'bucks', 'miles', 'blocks', 'feet',
+  'percent', 'things', 'ways', 'shifts', 'tasks', 'calls', 'emails', 'cars',
+];
+
+// Words that carry on an ordinary sentence after a suffix word, as in "way too
+// much" or "drive to work", but don't follow an address
+const NON_ADDRESS_FOLLOWERS = [
+  'too', 'much', 'more', 'less', 'to', 'of', 'out', 'back', 'around', 'through',
+  'off', 'over', 'up', 'down', 'home', 'it', 'them', 'me', 'you', 'him', 'her', 'us',
+];
+
+const STREET_NAME_WORD = `(?!(?:${NON_STREET_WORDS.join('|')})\\b)(?:[a-z][\\w'-]*|\\d+(?:st|nd|rd|th))`;
+
+// Applied in order, so emails are replaced before their digits can look like
+// phone numbers. A detector's `accept` can turn down a match.
+const DETECTORS = [
+  {
+    type: 'email',
+    placeholder: '[EMAIL]',
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/gi,
+  },
+  {
+    // Speech-to-text writes spoken addresses out: "jane at gmail dot com"
+    type: 'email',
+    placeholder: '[EMAIL]',
+    pattern: /\b[\w.+-]+ at [\w-]+(?: dot [\w-]+)+\b/gi,
+  },
+  {
+    type: 'phone',
+    placeholder: '[PHONE]',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b|\+\d[\d\s().-]{8,}\d\b/g,
+  },
+  {
+    // Numbers read out in small groups: "5 5 5 1 2 3 4", "555-12-34". A run of
+    // four-digit groups is more likely years than a phone number.
+    type: 'phone',
+    placeholder: '[PHONE]',
+    pattern: /(?<![\w.-])\d{1,4}(?:[\s.-]\d{1,4}){2,}(?![\w-]|\.\d)/g,
+    accept: match => {
+      const groups = match.split(/[\s.-]/);
+      const digits = groups.join('').length;
+      return digits >= 7 && digits <= 15 && groups.some(group => group.length < 4);
+    },
+  },
+  {
+    // A house number, up to three words of street name and a suffix
+    type: 'address',
+    placeholder: '[ADDRESS]',
+    pattern: new RegExp(
+      `\\b\\d{1,6}\\s+(?:${STREET_NAME_WORD}\\s+){1,3}(?:${STREET_SUFFIXES.join('|')})\\b\\.?` +
+      `(?!\\s+(?:${NON_ADDRESS_FOLLOWERS.join('|')})\\b)`,
+      'gi'
+    ),
+  },
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether the text has capitals beyond "I" and the starts of sentences, i.e.
+// whether it came from a provider that writes names with capitals
+function isCased(text) {
+  return /\p{Lu}/u.test(text.replace(/(^|[.!?]\s+)\p{Lu}|\bI\b/gu, '$1'));
+}
+
+// Build the name detector from REDACTION_NAMES. Longest names first so
+// "Acme Logistics" wins over "Acme". In cased text names only match as
+// written, so a colleague called Will or May doesn't take every "will" and
+// "may" with them; in lowercase transcripts they match regardless of case.
+function buildNameDetector(list) {
+  const names = (list || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  if (names.length === 0) return null;
+  const source = `(?<![\\w])(?:${names.map(escapeRegExp).join('|')})(?![\\w])`;
+  return {
+    type: 'name',
+    placeholder: '[NAME]',
+    pattern: new RegExp(source, 'g'),
+    uncasedPattern: new RegExp(source, 'gi'),
+  };
+}
+
+const nameDetector = buildNameDetector(process.env.REDACTION_NAMES);
+const detectors = nameDetector ? [...DETECTORS, nameDetector] : DETECTORS;
+
+// The detector's matches to replace in text; `cased` is isCased() of the
+// text before any placeholders went in
+function findMatches(detector, text, cased) {
+  const pattern = detector.uncasedPattern && !cased ? detector.uncasedPattern : detector.pattern;
+  return [...text.matchAll(pattern)].filter(match => !detector.accept || detector.accept(match[0]));
+}
+
+// Returns { text, counts } where counts maps detector type to the number of
+// replacements (empty if nothing was found)
+function redact(text) {
+  const counts = {};
+  const cased = isCased(text);
+  let redacted = text;
+  for (const detector of detectors) {
+    // Replaced from the end so earlier match offsets stay valid
+    for (const match of findMatches(detector, redacted, cased).reverse()) {
+      counts[detector.type] = (counts[detector.type] || 0) + 1;
+      redacted = redacted.slice(0, match.index) + detector.placeholder + redacted.slice(match.index + match[0].length);
+    }
+  }
+  return { text: redacted, counts };
+}
+
+// Redact word-level transcription data. Each detector runs over the words
+// joined with spaces; a match replaces the words it overlaps with a single
+// placeholder word (timed from the first to the last of them, with no
+// confidence), so a phone number split across words is still caught.
+function redactWords(words) {
+  let text = '';
+  const offsets = words.map(word => {
+    const start = text.length + (text ? 1 : 0);
+    text += (text ? ' ' : '') + word.text;
+    return { start, end: text.length };
+  });
+
+  const placeholders = new Array(words.length).fill(null);
+  const covered = new Array(words.length).fill(false);
+  const cased = isCased(text);
+  for (const detector of detectors) {
+    for (const match of findMatches(detector, text, cased)) {
+      const matchEnd = match.index + match[0].length;
+      let first = true;
+      offsets.forEach((offset, i) => {
+        if (covered[i] || offset.end <= match.index || offset.start >= matchEnd) return;
+        covered[i] = true;
+        if (first) placeholders[i] = detector.placeholder;
+        first = false;
+      });
+    }
+  }
+
+  const redacted = [];
+  words.forEach((word, i) => {
+    if (!covered[i]) {
+      redacted.push(word);
+    } else if (placeholders[i]) {
+      redacted.push({ text: placeholders[i], start: word.start, end: word.end, p: null });
+    } else {
+      redacted[redacted.length - 1].end = word.end;
+    }
+  });
+  return redacted;
+}
+
+// ---- Encrypted originals ----
+
+function loadEncryptionKey() {
+  const value = process.env.REDACTION_ENCRYPTION_KEY;
+  if (!value) return null;
+  const key = Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    console.error('REDACTION_ENCRYPTION_KEY must be 32 bytes, base64-encoded; original messages will not be kept');
+    return null;
+  }
+  return key;
+}
+
+const encryptionKey = loadEncryptionKey();
+
+function canStoreOriginals() {
+  return encryptionKey !== null;
+}
+
+// "v1:<iv>:<auth tag>:<ciphertext>", all base64
+function encryptOriginal(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (
+    typeof part === 'string' ? part : part.toString('base64')
+  )).join(':');
+}
+
+function decryptOriginal(stored) {
+  const [version, iv, tag, ciphertext] = stored.split(':');
+  if (version !== 'v1') throw new Error(`Unknown encrypted message format "${version}"`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Redact a participant message for storage. Returns { content, encryptedOriginal }
+// where encryptedOriginal is null unless something was redacted and
+// originals are being kept.
+function redactForStorage(text) {
+  const { text: content, counts } = redact(text);
+  const changed = Object.keys(counts).length > 0;
+  return {
+    content,
+    encryptedOriginal: changed && canStoreOriginals() ? encryptOriginal(text) : null,
+  };
+}
+
+module.exports = {
+  redact,
+  redactWords,
+  redactForStorage,
+  canStoreOriginals,
+  decryptOriginal,
+};
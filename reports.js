@@ -0,0 +1,268 @@
+// Builders for staff-facing reports over stored analyses.
+
+const { DEFAULT_RUBRIC, computeOverallScore } = require('./rubric');
+const { DEFAULT_LANGUAGE, languageName } = require('./languages');
+
+// Rubric an analysis was scored against; analyses from before per-scenario
+// rubrics were all scored on the default dimensions
+function analysisRubric(analysis) {
+  return analysis.rubric && Array.isArray(analysis.rubric.dimensions)
+    ? analysis.rubric
+    : DEFAULT_RUBRIC;
+}
+
+function summarizeTrend(points) {
+  if (points.length === 0) return { first: null, latest: null, change: null };
+  const first = points[0];
+  const latest = points[points.length - 1];
+  return { first, latest, change: Math.round((latest.score - first.score) * 10) / 10 };
+}
+
+// Build a participant's progress report from their analyzed sessions.
+// `rows` are { session_id, scenario_id, created_at, result } ordered oldest
+// first. Dimensions are matched by key across scenarios, so a dimension shared
+// by several rubrics (e.g. professionalism) forms a single trend.
+function buildProgressReport(rows) {
+  const sessions = [];
+  const dimensions = new Map(); // key -> { key, label, points }
+
+  for (const row of rows) {
+    const analysis = row.result;
+    if (!analysis || analysis.rawAnalysis) continue; // never successfully scored
+
+    const rubric = analysisRubric(analysis);
+    sessions.push({
+      sessionId: row.session_id,
+      scenarioId: row.scenario_id,
+      createdAt: row.created_at,
+      overallScore: typeof analysis.overallScore === 'number'
+        ? analysis.overallScore
+        : computeOverallScore(analysis, rubric),
+    });
+
+    for (const dim of rubric.dimensions) {
+      const entry = analysis[dim.key];
+      if (!entry || typeof entry.score !== 'number') continue;
+      if (!dimensions.has(dim.key)) {
+        dimensions.set(dim.key, { key: dim.key, label: dim.label, points: [] });
+      }
+      const trend = dimensions.get(dim.key);
+      trend.label = dim.label; // latest label wins if a rubric renamed it
+      trend.points.push({
+        sessionId: row.session_id,
+        scenarioId: row.scenario_id,
+        createdAt: row.created_at,
+        score: entry.score,
+        quote: entry.quote || '',
+        feedback: entry.feedback || '',
+      });
+    }
+  }
+
+  const dimensionReports = [...dimensions.values()].map(trend => {
+    // Each score change, with the quote from the session that moved it
+    const changes = [];
+    for (let i = 1; i < trend.points.length; i++) {
+      const from = trend.points[i - 1];
+      const to = trend.points[i];
+      if (to.score === from.score) continue;
+      changes.push({
+        fromSessionId: from.sessionId,
+        toSessionId: to.sessionId,
+        from: from.score,
+        to: to.score,
+        delta: to.score - from.score,
+        createdAt: to.createdAt,
+        quote: to.quote,
+        feedback: to.feedback,
+      });
+    }
+    return { ...trend, ...summarizeTrend(trend.points), changes };
+  });
+
+  const overallPoints = sessions
+    .filter(s => s.overallScore !== null)
+    .map(s => ({ sessionId: s.sessionId, createdAt: s.createdAt, score: s.overallScore }));
+
+  return {
+    sessions,
+    dimensions: dimensionReports,
+    overall: { points: overallPoints, ...summarizeTrend(overallPoints) },
+  };
+}
+
+// ---- CSV ----
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per session with a column per rubric dimension seen across the set.
+// `rows` come from the admin session list query with the analysis result.
+function buildScoresCsv(rows) {
+  const dimensions = new Map(); // key -> column header
+  const labels = new Set();
+  for (const row of rows) {
+    if (!row.result || row.result.rawAnalysis) continue;
+    for (const dim of analysisRubric(row.result).dimensions) {
+      if (dimensions.has(dim.key)) continue;
+      const header = labels.has(dim.label) ? `${dim.label} (${dim.key})` : dim.label;
+      labels.add(dim.label);
+      dimensions.set(dim.key, header);
+    }
+  }
+
+  const header = [
+    'Session ID', 'Date', 'Participant', 'External ID', 'Cohort', 'Scenario',
+    'Analysis Status', 'Overall Score', ...dimensions.values(), 'Summary',
+  ];
+  const lines = [header.map(csvCell).join(',')];
+
+  for (const row of rows) {
+    const analysis = row.result && !row.result.rawAnalysis ? row.result : {};
+    lines.push([
+      row.id,
+      row.created_at,
+      row.participant_name,
+      row.participant_external_id,
+      row.cohort,
+      row.scenario_id,
+      row.analysis_status,
+      row.overall_score,
+      ...[...dimensions.keys()].map(key => analysis[key]?.score),
+      analysis.overallSummary,
+    ].map(csvCell).join(','));
+  }
+
+  // Leading BOM so Excel detects UTF-8
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ---- Printable HTML report ----
+
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+// An English translation to follow text in another language, if there is one
+function translationHtml(english) {
+  return english ? `<p class="translation">English: ${escapeHtml(english)}</p>` : '';
+}
+
+// Self-contained HTML page for one session, laid out for "Save as PDF".
+// Sessions in another language show the analysis's English translations
+// after the originals.
+function buildSessionReportHtml({ session, participant, scenario, transcript, analysis, analyzedAt }) {
+  const scored = analysis && !analysis.rawAnalysis;
+  const scenarioName = scenario ? scenario.name : session.scenarioId;
+  const title = participant ? `${participant.name} — ${scenarioName}` : `Session ${session.id.slice(-6)} — ${scenarioName}`;
+
+  const details = [
+    ['Participant', participant ? participant.name : 'Not linked'],
+    ['External ID', participant?.externalId],
+    ['Cohort', participant?.cohort],
+    ['Scenario', scenarioName],
+    ['Language', session.language && session.language !== DEFAULT_LANGUAGE ? languageName(session.language) : null],
+    ['Session date', formatDate(session.createdAt)],
+    ['Analyzed', analyzedAt ? formatDate(analyzedAt) : null],
+    ['Session ID', session.id],
+  ].filter(([, value]) => value);
+
+  const scoresHtml = scored ? analysisRubric(analysis).dimensions.map(dim => {
+    const entry = analysis[dim.key] || {};
+    return `
+      <div class="score">
+        <div class="score-head">
+          <span class="label">${escapeHtml(dim.label)}</span>
+          <span class="value">${escapeHtml(entry.score ?? '-')}/5</span>
+        </div>
+        ${dim.description ? `<div class="description">${escapeHtml(dim.description)}</div>` : ''}
+        ${entry.quote ? `<blockquote>"${escapeHtml(entry.quote)}"</blockquote>` : ''}
+        ${entry.quote ? translationHtml(entry.quoteEnglish) : ''}
+        <p>${escapeHtml(entry.feedback)}</p>
+        ${translationHtml(entry.feedbackEnglish)}
+      </div>`;
+  }).join('') : '<p class="muted">This session has not been analyzed.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; max-width: 800px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+    h1 { font-size: 1.6rem; margin-bottom: 4px; }
+    h2 { font-size: 1.15rem; border-bottom: 2px solid #D4AF37; padding-bottom: 4px; margin-top: 32px; }
+    .subtitle, .muted, .description { color: #666; }
+    .description { font-size: 0.85rem; }
+    table.details { border-collapse: collapse; margin-top: 16px; }
+    table.details th { text-align: left; padding: 4px 16px 4px 0; color: #666; font-weight: 500; }
+    .overall { background: #f5f5f5; border-left: 4px solid #D4AF37; padding: 16px; margin-top: 16px; }
+    .overall .value { font-size: 1.4rem; font-weight: 700; }
+    .score { border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px 16px; margin-top: 12px; break-inside: avoid; }
+    .score-head { display: flex; justify-content: space-between; font-weight: 600; }
+    .score-head .value { font-size: 1.2rem; }
+    .translation { color: #666; font-size: 0.9rem; }
+    blockquote { margin: 8px 0; padding: 6px 12px; border-left: 3px solid #D4AF37; color: #555; font-style: italic; }
+    .message { margin-top: 10px; break-inside: avoid; }
+    .role { font-size: 0.75rem; font-weight: 600; text-transform: uppercase; color: #666; }
+    .print-btn { position: fixed; top: 16px; right: 16px; padding: 8px 16px; background: #D4AF37; border: none; border-radius: 6px; font-weight: 600; cursor: pointer; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .print-btn { display: none; }
+    }
+  </style>
+</head>
+<body>
+  <button type="button" class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="subtitle">Workforce Skills Assessment Report</div>
+
+  <table class="details">
+    ${details.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+
+  <h2>Overall Assessment</h2>
+  ${scored ? `
+  <div class="overall">
+    ${typeof analysis.overallScore === 'number' ? `<div class="value">${escapeHtml(analysis.overallScore)}/5</div>` : ''}
+    <p>${escapeHtml(analysis.overallSummary)}</p>
+    ${translationHtml(analysis.overallSummaryEnglish)}
+  </div>` : '<p class="muted">No assessment available.</p>'}
+
+  <h2>Dimension Scores</h2>
+  ${scoresHtml}
+
+  <h2>Conversation Transcript</h2>
+  ${transcript.map(m => `
+  <div class="message">
+    <div class="role">${m.role === 'user' ? 'Participant' : escapeHtml(scenario?.characterName || 'AI Scenario')}</div>
+    <div>${escapeHtml(m.content)}</div>
+  </div>`).join('')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  analysisRubric,
+  buildProgressReport,
+  buildScoresCsv,
+  buildSessionReportHtml,
+};
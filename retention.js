@@ -0,0 +1,200 @@
+// Data retention: purging or anonymizing old sessions, and deleting everything
+// held about a participant on request.
+//
+// RETENTION_DAYS turns the sweeper on. RETENTION_MODE picks what happens to
+// sessions older than that: "anonymize" (default) removes the transcript, the
+// participant link and the analysis text but keeps the scores for aggregate
+// reporting; "delete" removes the session entirely.
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+const RETENTION_MODES = ['anonymize', 'delete'];
+const RETENTION_BATCH_SIZE = 200;
+// Audio uploads are deleted once transcribed; anything older than this was
+// left behind by a crash. Kept recordings and speech data get the same grace
+// period to be attached to their turn.
+const STALE_UPLOAD_MS = 60 * 60 * 1000;
+
+// The configured policy, or null if retention is off or misconfigured
+function getRetentionPolicy() {
+  const days = parseInt(process.env.RETENTION_DAYS, 10);
+  if (!(days > 0)) return null;
+  const mode = process.env.RETENTION_MODE || 'anonymize';
+  if (!RETENTION_MODES.includes(mode)) {
+    console.error(`Invalid RETENTION_MODE "${mode}" (expected ${RETENTION_MODES.join(' or ')}); retention is disabled`);
+    return null;
+  }
+  return { days, mode };
+}
+
+// Keep only the scores (and the rubric they refer to) from a stored analysis.
+// Returns null for results with nothing worth keeping.
+function scrubAnalysis(result) {
+  if (!result || result.rawAnalysis) return null;
+  const scrubbed = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (key === 'overallSummary' || key === 'overallSummaryEnglish') continue;
+    if (value && typeof value === 'object' && !Array.isArray(value) && 'score' in value) {
+      scrubbed[key] = { score: value.score };
+    } else {
+      scrubbed[key] = value; // overallScore, rubric
+    }
+  }
+  return scrubbed;
+}
+
+async function anonymizeSessions(client, sessionIds) {
+  await client.query('DELETE FROM message_audio WHERE session_id = ANY($1)', [sessionIds]);
+  await client.query('DELETE FROM message_speech WHERE session_id = ANY($1)', [sessionIds]);
+  await client.query('DELETE FROM transcript_messages WHERE session_id = ANY($1)', [sessionIds]);
+
+  const analyses = await client.query(
+    'SELECT session_id, result FROM analyses WHERE session_id = ANY($1)',
+    [sessionIds]
+  );
+  for (const row of analyses.rows) {
+    const scrubbed = scrubAnalysis(row.result);
+    if (scrubbed) {
+      await client.query(
+        'UPDATE analyses SET result = $2, updated_at = NOW() WHERE session_id = $1',
+        [row.session_id, JSON.stringify(scrubbed)]
+      );
+    } else {
+      await client.query('DELETE FROM analyses WHERE session_id = $1', [row.session_id]);
+    }
+  }
+
+  // Failed attempts can echo model output, and invites would re-link the
+  // session to its participant
+  await client.query('UPDATE analysis_jobs SET last_error = NULL WHERE session_id = ANY($1)', [sessionIds]);
+  await client.query('UPDATE invites SET session_id = NULL WHERE session_id = ANY($1)', [sessionIds]);
+  await client.query(
+    `UPDATE sessions
+     SET participant_id = NULL, access_token_hash = NULL, anonymized_at = NOW()
+     WHERE id = ANY($1)`,
+    [sessionIds]
+  );
+}
+
+// Apply the policy to one batch of expired sessions. Returns how many were
+// processed. Rows are claimed with SKIP LOCKED so instances can sweep together.
+async function sweepBatch(policy) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const due = await client.query(
+      `SELECT id FROM sessions s
+       WHERE created_at < NOW() - make_interval(days => $1)
+         ${policy.mode === 'anonymize' ? 'AND anonymized_at IS NULL' : ''}
+         AND NOT EXISTS (
+           SELECT 1 FROM analysis_jobs j
+           WHERE j.session_id = s.id AND j.status IN ('queued', 'running')
+         )
+       ORDER BY created_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [policy.days, RETENTION_BATCH_SIZE]
+    );
+    const sessionIds = due.rows.map(row => row.id);
+    if (sessionIds.length > 0) {
+      if (policy.mode === 'delete') {
+        // Transcripts, recordings, analyses and jobs go with the session (ON DELETE CASCADE)
+        await client.query('DELETE FROM sessions WHERE id = ANY($1)', [sessionIds]);
+      } else {
+        await anonymizeSessions(client, sessionIds);
+      }
+    }
+    await client.query('COMMIT');
+    return sessionIds.length;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Apply the retention policy to every expired session, a batch at a time
+// until none are left or shouldStop() returns true. Returns the number of
+// sessions processed (0 when retention is off).
+async function sweepExpiredSessions(policy, { shouldStop = () => false } = {}) {
+  if (!policy) return 0;
+  let total = 0;
+  let processed;
+  do {
+    processed = await sweepBatch(policy);
+    total += processed;
+  } while (processed === RETENTION_BATCH_SIZE && !shouldStop());
+  return total;
+}
+
+// Remove audio uploads orphaned by a crash mid-transcription
+async function cleanStaleUploads(uploadsDir) {
+  let removed = 0;
+  const cutoff = Date.now() - STALE_UPLOAD_MS;
+  for (const name of await fs.promises.readdir(uploadsDir)) {
+    const filePath = path.join(uploadsDir, name);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      if (stat.isFile() && stat.mtimeMs < cutoff) {
+        await fs.promises.unlink(filePath);
+        removed++;
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+  return removed;
+}
+
+// Remove recordings and speech data whose turn was never recorded (the reply
+// failed or the participant left mid-turn)
+async function cleanUnlinkedTurnAudio() {
+  let removed = 0;
+  for (const table of ['message_audio', 'message_speech']) {
+    const result = await db.query(
+      `DELETE FROM ${table}
+       WHERE message_id IS NULL AND created_at < NOW() - make_interval(secs => $1)`,
+      [STALE_UPLOAD_MS / 1000]
+    );
+    removed += result.rowCount;
+  }
+  return removed;
+}
+
+// Delete a participant and everything linked to them: sessions (with their
+// transcripts, recordings, analyses and jobs) and invites. Returns the number of sessions
+// deleted, or null if the participant doesn't exist.
+async function deleteParticipantData(participantId) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const participant = await client.query(
+      'SELECT id FROM participants WHERE id = $1 FOR UPDATE',
+      [participantId]
+    );
+    if (participant.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const sessions = await client.query('DELETE FROM sessions WHERE participant_id = $1', [participantId]);
+    await client.query('DELETE FROM participants WHERE id = $1', [participantId]);
+    await client.query('COMMIT');
+    return sessions.rowCount;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getRetentionPolicy,
+  sweepExpiredSessions,
+  cleanStaleUploads,
+  cleanUnlinkedTurnAudio,
+  deleteParticipantData,
+};
@@ -0,0 +1,247 @@
+// Rubric definitions and analysis prompt/validation helpers.
+//
+// Each scenario definition may declare a `rubric` with its own dimensions.
+// Scenarios without one fall back to DEFAULT_RUBRIC, which matches the four
+// dimensions every session was originally scored on.
+//
+// Sessions held in a language other than English are analyzed in that
+// language, with English translations of the feedback, quotes and summary
+// (feedbackEnglish, quoteEnglish, overallSummaryEnglish) for staff.
+
+const { DEFAULT_LANGUAGE, languageName } = require('./languages');
+
+const DEFAULT_RUBRIC = {
+  dimensions: [
+    {
+      key: 'conflictResolution',
+      label: 'Conflict Resolution',
+      description: 'How the participant handled disagreement or tension in the conversation.',
+      weight: 1,
+      anchors: {
+        1: 'Escalates or avoids the conflict entirely',
+        2: 'Acknowledges the conflict but responds defensively',
+        3: 'Engages with the issue but offers no clear path forward',
+        4: 'Works toward a resolution and considers the other side',
+        5: 'De-escalates, finds common ground and agrees on next steps',
+      },
+    },
+    {
+      key: 'professionalism',
+      label: 'Professionalism',
+      description: 'Tone, respect and appropriateness for a workplace setting.',
+      weight: 1,
+      anchors: {
+        1: 'Rude, dismissive or inappropriate language',
+        2: 'Frequently informal or curt',
+        3: 'Generally appropriate with occasional lapses',
+        4: 'Respectful and composed throughout',
+        5: 'Consistently respectful, calm and composed under pressure',
+      },
+    },
+    {
+      key: 'articulation',
+      label: 'Articulation',
+      description: 'How clearly the participant expressed their position.',
+      weight: 1,
+      anchors: {
+        1: 'Responses are unclear or off-topic',
+        2: 'Main point is hard to follow',
+        3: 'Understandable but vague or rambling',
+        4: 'Clear and mostly well organized',
+        5: 'Clear, concise and well organized',
+      },
+    },
+    {
+      key: 'learning',
+      label: 'Learning & Growth',
+      description: 'Willingness to understand feedback and adapt.',
+      weight: 1,
+      anchors: {
+        1: 'Rejects all feedback',
+        2: 'Reluctantly acknowledges feedback without reflection',
+        3: 'Accepts feedback but shows little reflection',
+        4: 'Reflects on feedback and suggests some changes',
+        5: 'Actively seeks to understand and commits to specific changes',
+      },
+    },
+  ],
+};
+
+const SCORE_LEVELS = [1, 2, 3, 4, 5];
+
+// Returns the scenario's rubric, or the default rubric if it doesn't define one
+function getRubric(scenario) {
+  return scenario && scenario.rubric && Array.isArray(scenario.rubric.dimensions)
+    ? scenario.rubric
+    : DEFAULT_RUBRIC;
+}
+
+// Validate a rubric definition; returns a list of problems (empty if valid)
+function validateRubric(rubric) {
+  const errors = [];
+  if (!rubric || !Array.isArray(rubric.dimensions) || rubric.dimensions.length === 0) {
+    return ['rubric.dimensions must be a non-empty array'];
+  }
+  const seen = new Set();
+  rubric.dimensions.forEach((dim, i) => {
+    const where = `rubric.dimensions[${i}]`;
+    if (!dim || typeof dim.key !== 'string' || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(dim.key)) {
+      errors.push(`${where}.key must be an alphanumeric identifier`);
+      return;
+    }
+    if (['overallSummary', 'overallSummaryEnglish', 'overallScore', 'rubric', 'delivery', 'language'].includes(dim.key)) {
+      errors.push(`${where}.key "${dim.key}" is reserved`);
+    }
+    if (seen.has(dim.key)) errors.push(`${where}.key "${dim.key}" is duplicated`);
+    seen.add(dim.key);
+    if (typeof dim.label !== 'string' || !dim.label) errors.push(`${where}.label is required`);
+    if (typeof dim.description !== 'string' || !dim.description) errors.push(`${where}.description is required`);
+    if (typeof dim.weight !== 'number' || !(dim.weight > 0)) errors.push(`${where}.weight must be a positive number`);
+    if (!dim.anchors || SCORE_LEVELS.some(level => typeof dim.anchors[level] !== 'string')) {
+      errors.push(`${where}.anchors must describe scores 1 through 5`);
+    }
+  });
+  return errors;
+}
+
+// Participant messages may carry a `delivery` note describing how they were
+// spoken (see delivery.js); it's shown under the message in the transcript.
+function buildAnalysisPrompt(rubric, transcript, { language = DEFAULT_LANGUAGE } = {}) {
+  const translated = language !== DEFAULT_LANGUAGE;
+  const name = languageName(language);
+  const dimensionText = rubric.dimensions.map(dim => {
+    const anchors = SCORE_LEVELS.map(level => `   ${level} = ${dim.anchors[level]}`).join('\n');
+    return `- ${dim.key} (${dim.label}): ${dim.description}\n${anchors}`;
+  }).join('\n\n');
+
+  const exampleJson = rubric.dimensions.map(dim => `  "${dim.key}": {
+    "score": 1-5,
+    "quote": "specific quote from transcript",
+    "feedback": "detailed explanation with specific example"${translated ? `,
+    "quoteEnglish": "the quote translated into English",
+    "feedbackEnglish": "the feedback translated into English"` : ''}
+  }`).join(',\n');
+
+  const hasDelivery = transcript.some(m => m.delivery);
+  const transcriptText = transcript.map(m => {
+    const line = `${m.role === 'user' ? 'PARTICIPANT' : 'AI SCENARIO'}: ${m.content}`;
+    return m.delivery ? `${line}\n  [delivery: ${m.delivery}]` : line;
+  }).join('\n');
+
+  const deliveryText = hasDelivery ? `
+This was a spoken conversation. Lines marked [delivery] were measured automatically from the participant's audio: speaking rate, pauses, filler words and how long they took to respond. Take them into account where they bear on a dimension (for example clarity or composure), but don't quote them as things the participant said.
+` : '';
+
+  const languageText = translated ? `
+The conversation was held in ${name}. Write the feedback and summary in ${name}, and give quotes exactly as they appear in the transcript. Also translate each quote, each piece of feedback and the summary into English for the assessment team.
+` : '';
+
+  return `You are an expert workplace skills assessor. Analyze the transcript below and provide DETAILED feedback with SPECIFIC EXAMPLES from the conversation.
+
+Transcript:
+${transcriptText}
+${deliveryText}${languageText}
+Score the participant on these dimensions, using the anchors to pick a score:
+
+${dimensionText}
+
+For each dimension, provide:
+1. A score from 1-5 (integer)
+2. Detailed feedback (2-3 sentences) explaining the score
+3. At least one SPECIFIC QUOTE from the transcript that supports your assessment
+
+Return JSON in this exact format:
+{
+${exampleJson},
+  "overallSummary": "2-3 sentence summary of participant performance"${translated ? `,
+  "overallSummaryEnglish": "the summary translated into English"` : ''}
+}`;
+}
+
+// Validate a parsed analysis against the rubric; returns a list of problems
+function validateAnalysis(analysis, rubric, language = DEFAULT_LANGUAGE) {
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return ['analysis must be a JSON object'];
+  }
+  const errors = [];
+  const translated = language !== DEFAULT_LANGUAGE;
+  const summaryKeys = translated ? ['overallSummary', 'overallSummaryEnglish'] : ['overallSummary'];
+  const entryKeys = translated ? ['score', 'quote', 'feedback', 'quoteEnglish', 'feedbackEnglish'] : ['score', 'quote', 'feedback'];
+  const allowedKeys = new Set([...rubric.dimensions.map(dim => dim.key), ...summaryKeys]);
+  for (const key of Object.keys(analysis)) {
+    if (!allowedKeys.has(key)) errors.push(`unexpected key "${key}"`);
+  }
+  for (const dim of rubric.dimensions) {
+    const entry = analysis[dim.key];
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`missing dimension "${dim.key}"`);
+      continue;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!entryKeys.includes(key)) errors.push(`unexpected key "${dim.key}.${key}"`);
+    }
+    if (!Number.isInteger(entry.score) || entry.score < 1 || entry.score > 5) {
+      errors.push(`"${dim.key}.score" must be an integer from 1 to 5`);
+    }
+    if (typeof entry.quote !== 'string') errors.push(`"${dim.key}.quote" must be a string`);
+    if (typeof entry.feedback !== 'string' || !entry.feedback) errors.push(`"${dim.key}.feedback" must be a non-empty string`);
+    if (translated) {
+      if (typeof entry.quoteEnglish !== 'string') errors.push(`"${dim.key}.quoteEnglish" must be a string`);
+      if (typeof entry.feedbackEnglish !== 'string' || !entry.feedbackEnglish) {
+        errors.push(`"${dim.key}.feedbackEnglish" must be a non-empty string`);
+      }
+    }
+  }
+  for (const key of summaryKeys) {
+    if (typeof analysis[key] !== 'string' || !analysis[key]) errors.push(`"${key}" must be a non-empty string`);
+  }
+  return errors;
+}
+
+// Parse and validate the model's response text. Returns { analysis, errors };
+// analysis is null unless errors is empty.
+function parseAnalysis(text, rubric, language = DEFAULT_LANGUAGE) {
+  if (!text || !text.trim()) {
+    return { analysis: null, errors: ['response was empty'] };
+  }
+  let analysis;
+  try {
+    analysis = JSON.parse(text);
+  } catch (err) {
+    return { analysis: null, errors: [`response was not valid JSON: ${err.message}`] };
+  }
+  const errors = validateAnalysis(analysis, rubric, language);
+  return { analysis: errors.length === 0 ? analysis : null, errors };
+}
+
+// Follow-up message asking the model to fix a malformed response
+function buildRepairPrompt(errors) {
+  return `Your previous response could not be used because of these problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Reply with ONLY the corrected JSON object in the exact format requested. Do not include any explanation, markdown or code fences.`;
+}
+
+// Weighted average of dimension scores, rounded to one decimal place
+function computeOverallScore(analysis, rubric) {
+  let total = 0;
+  let weightSum = 0;
+  for (const dim of rubric.dimensions) {
+    const score = analysis[dim.key]?.score;
+    if (typeof score !== 'number') continue;
+    total += score * dim.weight;
+    weightSum += dim.weight;
+  }
+  return weightSum > 0 ? Math.round((total / weightSum) * 10) / 10 : null;
+}
+
+module.exports = {
+  DEFAULT_RUBRIC,
+  getRubric,
+  validateRubric,
+  buildAnalysisPrompt,
+  validateAnalysis,
+  parseAnalysis,
+  buildRepairPrompt,
+  computeOverallScore,
+};
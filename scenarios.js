@@ -0,0 +1,228 @@
+// Scenario storage. Scenarios live in Postgres as immutable, numbered versions;
+// editing a scenario adds a version and moves current_version forward, so
+// sessions can always be replayed against the definition they ran with.
+
+const db = require('./db');
+const { validateRubric } = require('./rubric');
+const { validateVoiceConfig } = require('./tts');
+const { DEFAULT_LANGUAGE, LANGUAGES, isSupportedLanguage } = require('./languages');
+
+const SCENARIO_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const REQUIRED_FIELDS = ['name', 'description', 'systemPrompt', 'characterName', 'initialMessage'];
+const MAX_FIELD_LENGTH = 10000;
+// What a translation may replace. The system prompt can stay in English (the
+// character is told which language to speak), so it's optional.
+const TRANSLATED_FIELDS = ['name', 'description', 'characterName', 'initialMessage', 'systemPrompt'];
+const REQUIRED_TRANSLATED_FIELDS = ['name', 'description', 'initialMessage'];
+
+function toScenario(row) {
+  return {
+    ...row.definition,
+    id: row.scenario_id,
+    version: row.version,
+    archived: Boolean(row.archived_at),
+  };
+}
+
+// Load a scenario definition, at a specific version or the current one.
+// Returns null if it doesn't exist. Archived scenarios are still returned so
+// existing sessions keep working; callers starting new sessions must check.
+async function loadScenario(scenarioId, version = null) {
+  if (typeof scenarioId !== 'string' || !SCENARIO_ID_PATTERN.test(scenarioId)) return null;
+  const result = await db.query(
+    `SELECT v.scenario_id, v.version, v.definition, s.archived_at
+     FROM scenarios s
+     JOIN scenario_versions v ON v.scenario_id = s.id AND v.version = COALESCE($2, s.current_version)
+     WHERE s.id = $1`,
+    [scenarioId, version]
+  );
+  return result.rows.length > 0 ? toScenario(result.rows[0]) : null;
+}
+
+// The languages a scenario can be run in: English, plus its translations
+function scenarioLanguages(scenario) {
+  return [DEFAULT_LANGUAGE, ...Object.keys(scenario.translations || {})];
+}
+
+// A scenario as it's run in the given language: translated fields replace
+// the English ones, and a translation's voice settings replace the scenario's
+// for each provider they name
+function localizeScenario(scenario, language) {
+  const translation = language !== DEFAULT_LANGUAGE && scenario.translations && scenario.translations[language];
+  if (!translation) return { ...scenario, language: DEFAULT_LANGUAGE };
+  const localized = { ...scenario, language };
+  for (const field of TRANSLATED_FIELDS) {
+    if (translation[field]) localized[field] = translation[field];
+  }
+  if (translation.voice) localized.voice = { ...(scenario.voice || {}), ...translation.voice };
+  return localized;
+}
+
+// Validate a scenario's `translations`, keyed by language code
+function validateTranslations(translations) {
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return ['translations must be an object keyed by language code'];
+  }
+  const errors = [];
+  const supported = Object.keys(LANGUAGES).filter(code => code !== DEFAULT_LANGUAGE);
+  for (const [language, translation] of Object.entries(translations)) {
+    if (language === DEFAULT_LANGUAGE || !isSupportedLanguage(language)) {
+      errors.push(`translations.${language} is not a supported language (expected ${supported.join(', ')})`);
+      continue;
+    }
+    if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+      errors.push(`translations.${language} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(translation)) {
+      if (field === 'voice') {
+        errors.push(...validateVoiceConfig(value).map(e => `translations.${language}.${e}`));
+      } else if (!TRANSLATED_FIELDS.includes(field)) {
+        errors.push(`translations.${language}.${field} can't be translated (expected ${TRANSLATED_FIELDS.join(', ')} or voice)`);
+      } else if (typeof value !== 'string') {
+        errors.push(`translations.${language}.${field} must be a string`);
+      } else if (value.length > MAX_FIELD_LENGTH) {
+        errors.push(`translations.${language}.${field} must be under ${MAX_FIELD_LENGTH} characters`);
+      }
+    }
+    for (const field of REQUIRED_TRANSLATED_FIELDS) {
+      if (typeof translation[field] !== 'string' || !translation[field].trim()) {
+        errors.push(`translations.${language}.${field} is required`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Current versions of all scenarios, optionally including archived ones
+async function listScenarios({ includeArchived = false } = {}) {
+  const result = await db.query(
+    `SELECT v.scenario_id, v.version, v.definition, s.archived_at, s.updated_at
+     FROM scenarios s
+     JOIN scenario_versions v ON v.scenario_id = s.id AND v.version = s.current_version
+     ${includeArchived ? '' : 'WHERE s.archived_at IS NULL'}
+     ORDER BY v.definition->>'name'`
+  );
+  return result.rows.map(row => ({ ...toScenario(row), updatedAt: row.updated_at }));
+}
+
+async function listScenarioVersions(scenarioId) {
+  const result = await db.query(
+    'SELECT version, created_at FROM scenario_versions WHERE scenario_id = $1 ORDER BY version DESC',
+    [scenarioId]
+  );
+  return result.rows.map(row => ({ version: row.version, createdAt: row.created_at }));
+}
+
+// Validate a scenario definition; returns a list of problems (empty if valid)
+function validateScenarioDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['scenario must be an object'];
+  }
+  const errors = [];
+  for (const field of REQUIRED_FIELDS) {
+    const value = definition[field];
+    if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${field} is required`);
+    } else if (value.length > MAX_FIELD_LENGTH) {
+      errors.push(`${field} must be under ${MAX_FIELD_LENGTH} characters`);
+    }
+  }
+  if (definition.rubric !== undefined) {
+    errors.push(...validateRubric(definition.rubric));
+  }
+  if (definition.voice !== undefined) {
+    errors.push(...validateVoiceConfig(definition.voice));
+  }
+  if (definition.translations !== undefined) {
+    errors.push(...validateTranslations(definition.translations));
+  }
+  return errors;
+}
+
+// Keep only known fields so the stored definition doesn't pick up stray keys
+// (id, version and archived are tracked outside the definition)
+function pickDefinition(input) {
+  const definition = {};
+  for (const field of REQUIRED_FIELDS) definition[field] = input[field].trim();
+  if (input.rubric !== undefined) definition.rubric = input.rubric;
+  if (input.voice !== undefined) definition.voice = input.voice;
+  if (input.translations !== undefined) definition.translations = input.translations;
+  return definition;
+}
+
+async function createScenario(scenarioId, input) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('INSERT INTO scenarios (id, current_version) VALUES ($1, 1)', [scenarioId]);
+    await client.query(
+      'INSERT INTO scenario_versions (scenario_id, version, definition) VALUES ($1, 1, $2)',
+      [scenarioId, JSON.stringify(pickDefinition(input))]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return loadScenario(scenarioId);
+}
+
+// Save an edited definition as the next version. Returns null if the scenario
+// doesn't exist.
+async function updateScenario(scenarioId, input) {
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query(
+      'SELECT current_version FROM scenarios WHERE id = $1 FOR UPDATE',
+      [scenarioId]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const version = current.rows[0].current_version + 1;
+    await client.query(
+      'INSERT INTO scenario_versions (scenario_id, version, definition) VALUES ($1, $2, $3)',
+      [scenarioId, version, JSON.stringify(pickDefinition(input))]
+    );
+    await client.query(
+      'UPDATE scenarios SET current_version = $2, updated_at = NOW() WHERE id = $1',
+      [scenarioId, version]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return loadScenario(scenarioId);
+}
+
+// Archived scenarios are hidden from participants but kept for history.
+// Returns false if the scenario doesn't exist.
+async function setScenarioArchived(scenarioId, archived) {
+  const result = await db.query(
+    `UPDATE scenarios SET archived_at = ${archived ? 'COALESCE(archived_at, NOW())' : 'NULL'}, updated_at = NOW()
+     WHERE id = $1`,
+    [scenarioId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  SCENARIO_ID_PATTERN,
+  loadScenario,
+  listScenarios,
+  listScenarioVersions,
+  validateScenarioDefinition,
+  scenarioLanguages,
+  localizeScenario,
+  createScenario,
+  updateScenario,
+  setScenarioArchived,
+};
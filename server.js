@@ -6,9 +6,28 @@ const path = require('path');
 const Anthropic = require('@anthropic-ai/sdk');
 const multer = require('multer');
 const { execFile } = require('child_process');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const crypto = require('crypto');
 const axios = require('axios');
 const db = require('./db');
+const { HttpError } = require('./errors');
+const { getRubric, buildAnalysisPrompt, parseAnalysis, buildRepairPrompt, computeOverallScore } = require('./rubric');
+const { buildProgressReport, buildScoresCsv, buildSessionReportHtml } = require('./reports');
+const scenarios = require('./scenarios');
+const { loadScenario } = scenarios;
+const auth = require('./auth');
+const { recordAudit, listAuditLog, listAuditActions } = require('./audit');
+const retention = require('./retention');
+const redaction = require('./redaction');
+const recordings = require('./recordings');
+const delivery = require('./delivery');
+const speech = require('./speech');
+const { createSttProvider } = require('./stt');
+const { createWorkPool } = require('./pool');
+const { createLiveTranscription } = require('./live');
+const { createTtsProvider, createTtsCache } = require('./tts');
+const { DEFAULT_LANGUAGE, LANGUAGES, isSupportedLanguage, languageName, describeLanguage } = require('./languages');
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
@@ -20,14 +39,33 @@ app.use(cors({ origin: process.env.CORS_ORIGIN || true }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.static('public'));
 
+// Session, participant and user ids are UUIDs we generate, so anything else
+// is a 404 before it reaches a query. Scenario ids are slugs.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+for (const [route, kind] of [
+  ['/api/sessions/:id', 'Session'],
+  ['/api/admin/sessions/:id', 'Session'],
+  ['/api/admin/participants/:id', 'Participant'],
+  ['/api/admin/users/:id', 'User'],
+]) {
+  app.use(route, (req, res, next) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: `${kind} not found` });
+    }
+    next();
+  });
+}
+
 // Configure multer for audio file uploads
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024; // 10MB max
 const upload = multer({
   dest: uploadsDir,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB max
+  limits: { fileSize: MAX_AUDIO_BYTES },
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('audio/') || file.mimetype === 'application/octet-stream') {
       cb(null, true);
@@ -37,49 +75,45 @@ const upload = multer({
   }
 });
 
-// Check if whisper.cpp binary and model are available
-let whisperAvailable = false;
-let whisperCppDir = null;
-
-function checkWhisperAvailability() {
-  try {
-    // whisper-node installs whisper.cpp under its lib directory
-    const whisperNodePath = require.resolve('whisper-node');
-    whisperCppDir = path.join(path.dirname(whisperNodePath), '..', 'lib', 'whisper.cpp');
-    const mainBinary = path.join(whisperCppDir, 'main');
-    const modelFile = path.join(whisperCppDir, 'models', 'ggml-base.en.bin');
-
-    if (fs.existsSync(mainBinary) && fs.existsSync(modelFile)) {
-      whisperAvailable = true;
-      console.log('whisper.cpp available at:', whisperCppDir);
-    } else {
-      console.warn('whisper.cpp binary or model not found.');
-      if (!fs.existsSync(mainBinary)) console.warn('  Missing binary:', mainBinary);
-      if (!fs.existsSync(modelFile)) console.warn('  Missing model:', modelFile);
-    }
-  } catch (err) {
-    console.warn('whisper.cpp not available:', err.message);
-    whisperAvailable = false;
-  }
-}
-
-checkWhisperAvailability();
+// Server-side transcription (see stt.js for the providers and their config)
+const sttProvider = createSttProvider();
+// Live captions while recording (see live.js); LIVE_TRANSCRIPTION=false turns
+// them off and leaves upload-only transcription
+const LIVE_TRANSCRIPTION = process.env.LIVE_TRANSCRIPTION !== 'false';
+const HANDS_FREE_SILENCE_MS = parseInt(process.env.HANDS_FREE_SILENCE_MS, 10) || 1500;
 
-// SST status endpoint - client checks this to decide whisper vs browser fallback
+// STT status endpoint - client checks this to decide server vs browser
+// transcription, for the session's language if given (?language=es)
 app.get('/api/stt-status', (req, res) => {
+  const { language } = req.query;
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return res.status(400).json({ error: 'Unsupported language' });
+  }
+  const available = language ? sttProvider.supportsLanguage(language) : sttProvider.available;
   res.json({
-    whisperAvailable,
+    available,
+    provider: sttProvider.name,
+    label: sttProvider.label,
+    model: language ? sttProvider.modelFor(language) : sttProvider.model,
+    language: language || sttProvider.language,
+    liveTranscription: available && LIVE_TRANSCRIPTION,
     fallback: 'browser-speech-recognition',
+    // Lets the client tell participants their voice is being kept
+    audioRecording: recordings.isRecordingEnabled(),
+    // How long hands-free mode waits after the participant stops talking
+    handsFreeSilenceMs: HANDS_FREE_SILENCE_MS,
   });
 });
 
-// Convert uploaded audio to 16kHz WAV using ffmpeg
-function convertToWav(inputPath) {
+// Convert uploaded audio to 16kHz WAV using ffmpeg, optionally skipping the
+// first startSeconds
+function convertToWav(inputPath, signal, { startSeconds = 0 } = {}) {
   return new Promise((resolve, reject) => {
     const outputPath = inputPath + '.wav';
-    execFile('ffmpeg', ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', outputPath], (error, stdout, stderr) => {
+    const skip = startSeconds > 0 ? ['-ss', String(startSeconds)] : [];
+    execFile('ffmpeg', ['-y', '-i', inputPath, ...skip, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', outputPath], { signal }, (error, stdout, stderr) => {
       if (error) {
-        reject(new Error(`ffmpeg conversion failed: ${error.message}`));
+        reject(error.name === 'AbortError' ? error : new Error(`ffmpeg conversion failed: ${error.message}`));
         return;
       }
       resolve(outputPath);
@@ -87,137 +121,463 @@ function convertToWav(inputPath) {
   });
 }
 
-// Run whisper.cpp directly, bypassing whisper-node's buggy output parser
-function runWhisperCpp(wavPath) {
-  return new Promise((resolve, reject) => {
-    const mainBinary = path.join(whisperCppDir, 'main');
-    const modelFile = path.join(whisperCppDir, 'models', 'ggml-base.en.bin');
+// The client reports how long after the AI finished speaking it started
+// recording, in milliseconds
+function parseLatency(value) {
+  const latency = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(latency) ? latency : null;
+}
 
-    execFile(mainBinary, ['-l', 'en', '-m', modelFile, '-f', wavPath, '--no-timestamps'], { cwd: whisperCppDir, timeout: 60000 }, (error, stdout, stderr) => {
-      if (error) {
-        reject(new Error(`whisper.cpp failed: ${error.message}`));
-        return;
-      }
-      // --no-timestamps outputs plain text, one segment per line
-      const text = stdout.trim();
-      resolve(text);
-    });
-  });
+// ---- Transcription pool ----
+//
+// ffmpeg and the STT provider are CPU-heavy, so transcriptions run at most
+// TRANSCRIPTION_CONCURRENCY at a time; the rest wait in a FIFO queue of up to
+// TRANSCRIPTION_MAX_QUEUED, and requests beyond that are turned away with 429.
+
+const TRANSCRIPTION_CONCURRENCY = parseInt(process.env.TRANSCRIPTION_CONCURRENCY, 10) || 2;
+const TRANSCRIPTION_MAX_QUEUED = parseInt(process.env.TRANSCRIPTION_MAX_QUEUED, 10) || 50;
+const transcriptionPool = createWorkPool({
+  concurrency: TRANSCRIPTION_CONCURRENCY,
+  maxQueued: TRANSCRIPTION_MAX_QUEUED,
+});
+
+// The language a session is held in, or null if there's no such session
+async function loadSessionLanguage(sessionId) {
+  const result = await db.query('SELECT language FROM sessions WHERE id = $1', [sessionId]);
+  return result.rows.length > 0 ? result.rows[0].language : null;
+}
+
+// Transcribe a recording with the configured provider; runs in the pool.
+// Within a session, the word timings and delivery metrics are saved and, when
+// RECORD_AUDIO is on, the recording is kept; all are stored under the id
+// returned as audioId, which the client sends back with the turn. language is
+// the session's (null for the provider's default).
+async function transcribeFile({ audioPath, sessionId = null, latencyMs = null, language = null }, signal) {
+  let wavPath = null;
+  try {
+    // Convert uploaded audio to 16kHz WAV (every provider and the delivery
+    // metrics work from this)
+    wavPath = await convertToWav(audioPath, signal);
+
+    console.log(`[stt] Transcribing with ${sttProvider.name}:`, wavPath);
+    const transcription = await sttProvider.transcribe(wavPath, { signal, language: language || undefined });
+    const { text, segments } = transcription;
+    console.log('[stt] Result:', text ? `"${text.substring(0, 100)}..."` : '(empty)');
+
+    let audioId = null;
+    if (sessionId && text) {
+      const id = crypto.randomUUID();
+      // The turn is worth more than its metrics or recording, so don't fail
+      // over either; but stop if the participant has gone
+      const metrics = await delivery.measureDelivery(wavPath, {
+        text, segments, latencyMs, language: language || DEFAULT_LANGUAGE, signal,
+      })
+        .catch(err => {
+          if (signal.aborted) throw err;
+          console.error('[stt] Failed to measure delivery:', err.message);
+          return null;
+        });
+      const measured = await speech.saveSpeech(id, sessionId, { delivery: metrics, transcription })
+        .then(() => true, err => {
+          console.error('[stt] Failed to save speech data:', err.message);
+          return false;
+        });
+      const kept = recordings.isRecordingEnabled() && await recordings.saveRecording(id, sessionId, audioPath, signal)
+        .then(() => true, err => {
+          if (signal.aborted) throw err;
+          console.error('[stt] Failed to keep recording:', err.message);
+          return false;
+        });
+      if (measured || kept) audioId = id;
+    }
+
+    return { text, audioId };
+  } finally {
+    if (wavPath) fs.promises.unlink(wavPath).catch(() => {});
+  }
 }
 
-// Transcription endpoint using whisper.cpp directly
-app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
+// Transcription endpoint. Answers with JSON ({ text, audioId }) once the
+// transcription is done, or, if the client accepts text/event-stream, with
+// Server-Sent Events: `queued` with the request's place in line whenever it
+// changes, `transcribing` when it starts, then `done` with the result or
+// `error`. A client that disconnects is dropped from the queue, or its
+// transcription stopped.
+async function transcribeUpload(req, res) {
   if (!req.file) {
     return res.status(400).json({ error: 'No audio file provided' });
   }
 
-  if (!whisperAvailable || !whisperCppDir) {
+  if (!sttProvider.available) {
     // Clean up uploaded file
     try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore cleanup error */ }
-    return res.status(503).json({ error: 'Whisper transcription not available' });
+    return res.status(503).json({ error: 'Server transcription not available' });
   }
 
-  let wavPath = null;
-  try {
-    // Convert uploaded audio to 16kHz WAV (whisper.cpp requires this)
-    wavPath = await convertToWav(req.file.path);
+  const streaming = (req.headers.accept || '').includes('text/event-stream');
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+      });
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    // Transcribe with whisper.cpp directly
-    console.log('[whisper] Transcribing:', wavPath);
-    const text = await runWhisperCpp(wavPath);
-    console.log('[whisper] Result:', text ? `"${text.substring(0, 100)}..."` : '(empty)');
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
 
-    res.json({ text });
+  try {
+    const language = req.params.id ? await loadSessionLanguage(req.params.id) : null;
+    if (language && !sttProvider.supportsLanguage(language)) {
+      return res.status(503).json({ error: `Server transcription not available in ${languageName(language)}` });
+    }
+    const job = { audioPath: req.file.path, sessionId: req.params.id, latencyMs: parseLatency(req.body.latencyMs), language };
+    const result = await transcriptionPool.run(signal => transcribeFile(job, signal), {
+      signal: controller.signal,
+      onQueued: position => streaming && sendEvent('queued', { position }),
+      onStart: () => streaming && sendEvent('transcribing', {}),
+    });
+    if (streaming) {
+      sendEvent('done', result);
+      res.end();
+    } else {
+      res.json(result);
+    }
   } catch (error) {
-    console.error('[whisper] Transcription error:', error.message);
-    res.status(500).json({ error: 'Transcription failed' });
-  } finally {
-    // Clean up temp files
-    try {
-      if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-      if (wavPath && fs.existsSync(wavPath)) fs.unlinkSync(wavPath);
-    } catch (cleanupErr) {
-      console.warn('Cleanup error:', cleanupErr.message);
+    if (controller.signal.aborted) return; // the client has gone
+    let status = 500;
+    let message = 'Transcription failed';
+    if (error.code === 'QUEUE_FULL') {
+      status = 429;
+      message = 'The server is busy transcribing; try again shortly';
+    } else {
+      console.error('[stt] Transcription error:', error.message);
+    }
+    if (res.headersSent) {
+      sendEvent('error', { error: message, status });
+      res.end();
+    } else {
+      if (status === 429) res.setHeader('Retry-After', '10');
+      res.status(status).json({ error: message });
     }
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
   }
+}
+
+app.post('/api/transcribe', upload.single('audio'), transcribeUpload);
+
+// ---- Text-to-speech ----
+//
+// Replies are spoken by the provider set in TTS_PROVIDER (see tts.js) in the
+// scenario character's voice; with no server-side provider, or if synthesis
+// fails, the participant's browser speaks instead.
+//
+// Asking for speech (POST) returns the URL of its audio. Fetching that URL
+// synthesizes the speech, streaming the audio to the player as the provider
+// produces it, and caches it by text and voice, up to TTS_CACHE_MB (default
+// 50; 0 turns caching off). Cached audio is served with Range support.
+
+const ttsProvider = createTtsProvider();
+const TTS_CACHE_MB = parseInt(process.env.TTS_CACHE_MB, 10);
+const ttsCache = createTtsCache((Number.isNaN(TTS_CACHE_MB) ? 50 : TTS_CACHE_MB) * 1024 * 1024);
+const MAX_TTS_LENGTH = 5000;
+// Speech asked for, by cache key, until its URL expires
+const speechRequests = new Map(); // key -> { text, voice, expiresAt }
+const SPEECH_URL_TTL_MS = 10 * 60 * 1000;
+const MAX_SPEECH_REQUESTS = 10000;
+// Speech requests per session in each SPEECH_URL_TTL_MS window. Replies are
+// spoken a sentence at a time (queueSpeech in app.js), so a brisk 10-minute
+// conversation asks for a couple of hundred.
+const speechRequestCounts = new Map(); // session id -> { count, resetAt }
+const MAX_SPEECH_REQUESTS_PER_SESSION = 300;
+const SPEECH_KEY_PATTERN = /^[0-9a-f]{64}$/;
+// The audio at a speech URL never changes
+const SPEECH_CACHE_CONTROL = 'private, max-age=86400, immutable';
+
+app.get('/api/tts-status', (req, res) => {
+  res.json({
+    available: ttsProvider.available,
+    provider: ttsProvider.name,
+    label: ttsProvider.label,
+    fallback: 'browser-speech-synthesis',
+  });
 });
 
-app.post('/api/tts', async (req, res) => {
+// The scenario a session runs, in the session's language, or null
+async function loadSessionScenario(sessionId) {
+  const result = await db.query('SELECT scenario_id, scenario_version, language FROM sessions WHERE id = $1', [sessionId]);
+  if (result.rows.length === 0) return null;
+  const { scenario_id, scenario_version, language } = result.rows[0];
+  const scenario = await loadScenario(scenario_id, scenario_version);
+  return scenario && scenarios.localizeScenario(scenario, language);
+}
+
+// Ask for text to be spoken in the session's character voice and language.
+// Answers with { url, format } for the audio.
+app.post('/api/sessions/:id/tts', requireSessionToken, async (req, res) => {
   const { text } = req.body;
 
-  if (!text || typeof text !== 'string' || text.length > 5000) {
-    return res.status(400).json({ error: 'text is required and must be under 5000 characters' });
-  }
-  
-  const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-  
-  if (!ELEVENLABS_API_KEY) {
-    return res.status(500).json({ error: 'ElevenLabs API key not configured' });
-  }
-  
-  try {
-    const response = await axios.post(
-      'https://api.elevenlabs.io/v1/text-to-speech/pNInz6obpgDQGcFmaJgB',
-      {
-        text: text,
-        model_id: 'eleven_multilingual_v2',
-        voice_settings: {
-          stability: 0.5,
-          similarity_boost: 0.5
-        }
-      },
-      {
-        headers: {
-          'Accept': 'audio/mpeg',
-          'Content-Type': 'application/json',
-          'xi-api-key': ELEVENLABS_API_KEY
-        },
-        responseType: 'arraybuffer'
-      }
-    );
-    
-    const base64 = Buffer.from(response.data).toString('base64');
-    res.json({ audio: base64, format: 'audio/mpeg' });
+  if (!text || typeof text !== 'string' || text.length > MAX_TTS_LENGTH) {
+    return res.status(400).json({ error: `text is required and must be under ${MAX_TTS_LENGTH} characters` });
+  }
+  if (!ttsProvider.available) {
+    return res.status(503).json({ error: 'Server speech not available' });
+  }
+
+  try {
+    const sessionId = req.params.id;
+    const scenario = await loadSessionScenario(sessionId);
+    const voice = scenario
+      ? ttsProvider.resolveVoice(scenario.voice, scenario.language)
+      : ttsProvider.resolveVoice(null, DEFAULT_LANGUAGE);
+    const key = ttsCache.keyFor(ttsProvider.name, voice, text);
+    // Registered even if cached, in case it's dropped from the cache before
+    // the player gets to it
+    const now = Date.now();
+    for (const [oldKey, request] of speechRequests) {
+      if (request.expiresAt <= now) speechRequests.delete(oldKey);
+    }
+    for (const [oldSessionId, counted] of speechRequestCounts) {
+      if (counted.resetAt <= now) speechRequestCounts.delete(oldSessionId);
+    }
+    const counted = speechRequestCounts.get(sessionId) || { count: 0, resetAt: now + SPEECH_URL_TTL_MS };
+    if (counted.count >= MAX_SPEECH_REQUESTS_PER_SESSION ||
+        (!speechRequests.has(key) && speechRequests.size >= MAX_SPEECH_REQUESTS)) {
+      res.setHeader('Retry-After', '10');
+      return res.status(429).json({ error: 'Too many speech requests; try again shortly' });
+    }
+    counted.count++;
+    speechRequestCounts.set(sessionId, counted);
+    speechRequests.set(key, { text, voice, expiresAt: now + SPEECH_URL_TTL_MS });
+    res.json({ url: `/api/tts/${key}`, format: ttsProvider.mimeType });
   } catch (error) {
-    console.error('ElevenLabs error:', error.response?.data || error.message);
+    console.error('[tts] Speech request error:', error.message);
     res.status(500).json({ error: 'TTS failed' });
   }
 });
 
-const SCENARIOS_DIR = path.join(__dirname, 'data', 'scenarios');
+// Send cached audio, or the byte range asked for
+function sendCachedSpeech(req, res, { audio, mimeType }) {
+  const range = parseByteRange(req.headers.range, audio.length);
+  if (range === false) {
+    res.setHeader('Content-Range', `bytes */${audio.length}`);
+    return res.status(416).json({ error: 'Requested range not satisfiable' });
+  }
+  const { start, end } = range || { start: 0, end: audio.length - 1 };
+  res.status(range ? 206 : 200);
+  res.setHeader('Content-Type', mimeType);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', SPEECH_CACHE_CONTROL);
+  if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${audio.length}`);
+  res.send(audio.subarray(start, end + 1));
+}
+
+// The audio for a speech URL. Cached audio is sent as is; otherwise it is
+// synthesized and streamed as it's produced (without Range support, since its
+// length isn't known yet), then cached. A player that goes away stops the
+// synthesis.
+app.get('/api/tts/:key', async (req, res) => {
+  const { key } = req.params;
+  const cached = SPEECH_KEY_PATTERN.test(key) && ttsCache.get(key);
+  if (cached) return sendCachedSpeech(req, res, cached);
+
+  const request = speechRequests.get(key);
+  if (!request || request.expiresAt <= Date.now()) {
+    return res.status(404).json({ error: 'Speech not found' });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const chunks = [];
+  const keep = new Transform({
+    transform(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback(null, chunk);
+    },
+  });
+  try {
+    const audio = await ttsProvider.synthesize(request.text, request.voice, { signal: controller.signal });
+    res.writeHead(200, {
+      'Content-Type': ttsProvider.mimeType,
+      'Cache-Control': SPEECH_CACHE_CONTROL,
+      'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+    });
+    await pipeline(audio, keep, res);
+    ttsCache.set(key, { audio: Buffer.concat(chunks), mimeType: ttsProvider.mimeType });
+  } catch (error) {
+    if (controller.signal.aborted) return; // the player has gone
+    console.error('[tts] Synthesis error:', error.message);
+    if (res.headersSent) {
+      res.destroy(); // the player sees the audio cut off and falls back
+    } else {
+      res.status(500).json({ error: 'TTS failed' });
+    }
+  }
+});
 
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Languages sessions can be held in, for participants to choose from
+app.get('/api/languages', (req, res) => {
+  res.json(Object.keys(LANGUAGES).map(describeLanguage));
+});
+
+// Scenarios offered in a language (?language=es, default English), translated
 app.get('/api/scenarios', async (req, res) => {
+  const language = req.query.language || DEFAULT_LANGUAGE;
+  if (!isSupportedLanguage(language)) {
+    return res.status(400).json({ error: 'Unsupported language' });
+  }
   try {
-    const files = (await fs.promises.readdir(SCENARIOS_DIR)).filter(f => f.endsWith('.json'));
-    const scenarios = await Promise.all(files.map(async f => {
-      const data = await fs.promises.readFile(path.join(SCENARIOS_DIR, f), 'utf-8');
-      return JSON.parse(data);
-    }));
-    res.json(scenarios);
+    // Participants only need enough to pick a scenario
+    const list = await scenarios.listScenarios();
+    res.json(list
+      .filter(scenario => scenarios.scenarioLanguages(scenario).includes(language))
+      .map(scenario => {
+        const { id, name, description } = scenarios.localizeScenario(scenario, language);
+        return { id, name, description, languages: scenarios.scenarioLanguages(scenario).map(describeLanguage) };
+      }));
   } catch (error) {
     console.error('Load scenarios error:', error);
     res.status(500).json({ error: 'Failed to load scenarios' });
   }
 });
 
+// Invite codes avoid characters that are easy to confuse when read aloud or
+// copied by hand (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+function generateInviteCode() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Codes are case-insensitive and may be typed with spaces or dashes
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+// Look up an invite with its participant. Returns { invite } or { error, status }.
+async function findUsableInvite(code) {
+  const result = await db.query(
+    `SELECT i.code, i.participant_id, i.scenario_id, i.expires_at, i.used_at, p.name AS participant_name
+     FROM invites i
+     JOIN participants p ON p.id = i.participant_id
+     WHERE i.code = $1`,
+    [normalizeInviteCode(code)]
+  );
+  const invite = result.rows[0];
+  if (!invite) {
+    return { status: 404, error: 'Invite not found' };
+  }
+  if (invite.used_at) {
+    return { status: 410, error: 'Invite has already been used' };
+  }
+  if (invite.expires_at && new Date(invite.expires_at) <= new Date()) {
+    return { status: 410, error: 'Invite has expired' };
+  }
+  return { invite };
+}
+
+app.get('/api/invites/:code', async (req, res) => {
+  try {
+    const { invite, status, error } = await findUsableInvite(req.params.code);
+    if (!invite) {
+      return res.status(status).json({ error });
+    }
+    const scenario = await loadScenario(invite.scenario_id);
+    if (!scenario || scenario.archived) {
+      return res.status(410).json({ error: 'This scenario is no longer available' });
+    }
+    res.json({
+      code: invite.code,
+      participantName: invite.participant_name,
+      scenario: {
+        id: scenario.id,
+        name: scenario.name,
+        description: scenario.description,
+        languages: scenarios.scenarioLanguages(scenario).map(describeLanguage),
+      },
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ error: 'Failed to load invite' });
+  }
+});
+
+// Participants get a bearer token scoped to the session they create. It only
+// allows adding turns and ending that session; reading transcripts and
+// analyses is staff-only.
+const PARTICIPANT_TOKEN_MINUTES = parseInt(process.env.PARTICIPANT_TOKEN_MINUTES, 10) || 120;
+
+async function isValidSessionToken(sessionId, token) {
+  if (!token || typeof token !== 'string') return false;
+  const result = await db.query(
+    `SELECT 1 FROM sessions
+     WHERE id = $1 AND access_token_hash = $2 AND access_token_expires_at > NOW()`,
+    [sessionId, auth.hashToken(token)]
+  );
+  return result.rows.length > 0;
+}
+
+async function requireSessionToken(req, res, next) {
+  try {
+    if (!await isValidSessionToken(req.params.id, bearerToken(req))) {
+      return res.status(401).json({ error: 'Invalid or expired session token' });
+    }
+    next();
+  } catch (error) {
+    console.error('Session token error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
 app.post('/api/sessions', async (req, res) => {
   try {
-    const { scenarioId } = req.body;
+    const { inviteCode, language = DEFAULT_LANGUAGE } = req.body;
+    let { scenarioId } = req.body;
+    let invite = null;
+
+    // An invite decides the scenario and ties the session to its participant
+    if (inviteCode) {
+      const lookup = await findUsableInvite(inviteCode);
+      if (!lookup.invite) {
+        return res.status(lookup.status).json({ error: lookup.error });
+      }
+      invite = lookup.invite;
+      scenarioId = invite.scenario_id;
+    }
+
     if (!scenarioId || typeof scenarioId !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(scenarioId)) {
       return res.status(400).json({ error: 'Invalid scenario ID' });
     }
     const sessionId = crypto.randomUUID();
+    const accessToken = crypto.randomBytes(32).toString('base64url');
 
-    const scenarioPath = path.join(SCENARIOS_DIR, `${scenarioId}.json`);
-    try { await fs.promises.access(scenarioPath); } catch {
+    const stored = await loadScenario(scenarioId);
+    if (!stored || stored.archived) {
       return res.status(404).json({ error: 'Scenario not found' });
     }
-
-    const scenario = JSON.parse(await fs.promises.readFile(scenarioPath, 'utf-8'));
+    if (!isSupportedLanguage(language) || !scenarios.scenarioLanguages(stored).includes(language)) {
+      return res.status(400).json({ error: 'This scenario is not available in that language' });
+    }
+    const scenario = scenarios.localizeScenario(stored, language);
 
     const transcript = [{
       role: 'assistant',
@@ -225,17 +585,34 @@ app.post('/api/sessions', async (req, res) => {
     }];
 
     // Insert session and initial transcript message in a transaction
+    let sessionResult;
     const client = await db.pool.connect();
     try {
       await client.query('BEGIN');
-      await client.query(
-        'INSERT INTO sessions (id, scenario_id) VALUES ($1, $2)',
-        [sessionId, scenarioId]
+      sessionResult = await client.query(
+        `INSERT INTO sessions (id, scenario_id, scenario_version, participant_id, language, access_token_hash, access_token_expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))
+         RETURNING access_token_expires_at`,
+        [sessionId, scenarioId, scenario.version, invite ? invite.participant_id : null, language,
+          auth.hashToken(accessToken), PARTICIPANT_TOKEN_MINUTES]
       );
       await client.query(
-        'INSERT INTO transcript_messages (session_id, role, content, position) VALUES ($1, $2, $3, $4)',
-        [sessionId, 'assistant', scenario.initialMessage, 0]
+        `INSERT INTO transcript_messages (session_id, role, content, position, search_config)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [sessionId, 'assistant', scenario.initialMessage, 0, LANGUAGES[language].searchConfig]
       );
+      if (invite) {
+        // Claim the invite; a concurrent request may have used it first
+        const claimed = await client.query(
+          `UPDATE invites SET used_at = NOW(), session_id = $2
+           WHERE code = $1 AND used_at IS NULL`,
+          [invite.code, sessionId]
+        );
+        if (claimed.rowCount === 0) {
+          await client.query('ROLLBACK');
+          return res.status(410).json({ error: 'Invite has already been used' });
+        }
+      }
       await client.query('COMMIT');
     } catch (err) {
       await client.query('ROLLBACK');
@@ -244,29 +621,48 @@ app.post('/api/sessions', async (req, res) => {
       client.release();
     }
 
-    res.json({ sessionId, scenario, transcript });
+    res.json({
+      sessionId,
+      accessToken,
+      accessTokenExpiresAt: sessionResult.rows[0].access_token_expires_at,
+      scenario,
+      language: describeLanguage(language),
+      transcript,
+    });
   } catch (error) {
     console.error('Create session error:', error);
     res.status(500).json({ error: 'Failed to create session' });
   }
 });
 
-app.get('/api/sessions/:id', async (req, res) => {
+app.get('/api/sessions/:id', requireAdminAuth, async (req, res) => {
   try {
     const sessionId = req.params.id;
 
     // Check session exists
-    const sessionResult = await db.query('SELECT id, created_at FROM sessions WHERE id = $1', [sessionId]);
+    const sessionResult = await db.query('SELECT id, language, created_at, anonymized_at FROM sessions WHERE id = $1', [sessionId]);
     if (sessionResult.rows.length === 0) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
     // Get transcript messages ordered by position
     const msgResult = await db.query(
-      'SELECT role, content FROM transcript_messages WHERE session_id = $1 ORDER BY position',
+      `SELECT m.role, m.content, m.original_encrypted IS NOT NULL AS redacted, a.id AS audio_id,
+         sp.delivery, sp.transcription
+       FROM transcript_messages m
+       LEFT JOIN message_audio a ON a.message_id = m.id
+       LEFT JOIN message_speech sp ON sp.message_id = m.id
+       WHERE m.session_id = $1 ORDER BY m.position`,
       [sessionId]
     );
-    const transcript = msgResult.rows.map(r => ({ role: r.role, content: r.content }));
+    const transcript = msgResult.rows.map(r => ({
+      role: r.role,
+      content: r.content,
+      redacted: r.redacted,
+      audioId: r.audio_id,
+      delivery: r.delivery,
+      words: r.transcription ? r.transcription.words : null,
+    }));
 
     // Get analysis if it exists
     const analysisResult = await db.query(
@@ -275,225 +671,942 @@ app.get('/api/sessions/:id', async (req, res) => {
     );
     const analysis = analysisResult.rows.length > 0 ? analysisResult.rows[0].result : null;
 
-    res.json({ transcript, analysis, created_at: sessionResult.rows[0].created_at });
+    const { language, created_at, anonymized_at } = sessionResult.rows[0];
+    res.json({ transcript, analysis, language, created_at, anonymized_at });
   } catch (error) {
     console.error('Get session error:', error);
     res.status(500).json({ error: 'Failed to get session' });
   }
 });
 
-app.put('/api/sessions/:id/transcript', async (req, res) => {
-  try {
-    const sessionId = req.params.id;
+// Spoken turns go through here first, so their delivery can be measured and
+// (with RECORD_AUDIO on) their recording kept
+app.post('/api/sessions/:id/transcribe', requireSessionToken, upload.single('audio'), transcribeUpload);
 
-    // Check session exists
-    const sessionResult = await db.query('SELECT id FROM sessions WHERE id = $1', [sessionId]);
-    if (sessionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
+// Live transcription WebSocket at /api/sessions/:id/live (see live.js).
+// Browsers can't set headers on a WebSocket, so the session token comes in
+// the first message instead.
+const LIVE_TRANSCRIPTION_PATH = /^\/api\/sessions\/([^/]+)\/live$/;
+const liveTranscription = createLiveTranscription({
+  pool: transcriptionPool,
+  provider: sttProvider,
+  convertToWav,
+  transcribeFile,
+  authenticate: isValidSessionToken,
+  sessionLanguage: loadSessionLanguage,
+  tempDir: uploadsDir,
+  maxBytes: MAX_AUDIO_BYTES,
+});
 
-    const messages = req.body.transcript;
+function handleUpgrade(req, socket, head) {
+  const match = LIVE_TRANSCRIPTION_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+  if (!match || !UUID_PATTERN.test(match[1]) || !LIVE_TRANSCRIPTION || !sttProvider.available) {
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  liveTranscription.handleUpgrade(req, socket, head, match[1]);
+}
 
-    // Validate transcript format
-    if (!Array.isArray(messages)) {
-      return res.status(400).json({ error: 'transcript must be an array' });
-    }
-    for (const msg of messages) {
-      if (!msg || typeof msg.role !== 'string' || typeof msg.content !== 'string') {
-        return res.status(400).json({ error: 'Each message must have role and content strings' });
-      }
-      if (!['user', 'assistant'].includes(msg.role)) {
-        return res.status(400).json({ error: 'role must be "user" or "assistant"' });
-      }
-    }
+const MAX_TURN_LENGTH = 5000;
 
-    // Replace all transcript messages in a transaction
-    const client = await db.pool.connect();
-    try {
-      await client.query('BEGIN');
-      await client.query('DELETE FROM transcript_messages WHERE session_id = $1', [sessionId]);
-      for (let i = 0; i < messages.length; i++) {
-        await client.query(
-          'INSERT INTO transcript_messages (session_id, role, content, position) VALUES ($1, $2, $3, $4)',
-          [sessionId, messages[i].role, messages[i].content, i]
-        );
-      }
-      await client.query('COMMIT');
-    } catch (err) {
-      await client.query('ROLLBACK');
-      throw err;
-    } finally {
-      client.release();
-    }
+// scenario.language is set on scenarios localized for a session
+function buildConversationSystemPrompt(scenario) {
+  const language = scenario.language || DEFAULT_LANGUAGE;
+  const languageText = language !== DEFAULT_LANGUAGE
+    ? ` Conduct the whole conversation in ${languageName(language)}, even if these instructions are in English.`
+    : '';
+  return `${scenario.systemPrompt}\n\nIMPORTANT: Keep your responses SHORT - 2-5 sentences maximum. Be conversational, not a long speech. You are roleplaying as: ${scenario.characterName}${languageText}`;
+}
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Update transcript error:', error);
-    res.status(500).json({ error: 'Failed to update transcript' });
+// Load everything needed to generate the next assistant reply from the
+// database, so the client can't alter the prompt or the conversation history.
+// audioId identifies the speech data and recording of the audio the message
+// was transcribed from, as returned by the transcribe endpoint.
+// Throws an HttpError for client errors.
+async function prepareTurn(sessionId, message, audioId = null) {
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    throw new HttpError(400, 'message is required');
+  }
+  if (message.length > MAX_TURN_LENGTH) {
+    throw new HttpError(400, `message must be under ${MAX_TURN_LENGTH} characters`);
+  }
+  if (audioId != null && (typeof audioId !== 'string' || !UUID_PATTERN.test(audioId))) {
+    throw new HttpError(400, 'audioId must be a recording id');
   }
-});
 
-app.post('/api/conversation', async (req, res) => {
-  try {
-    const { transcript, scenario, message } = req.body;
+  const sessionResult = await db.query('SELECT scenario_id, scenario_version, language FROM sessions WHERE id = $1', [sessionId]);
+  if (sessionResult.rows.length === 0) {
+    throw new HttpError(404, 'Session not found');
+  }
+
+  // Once analysis has been requested the conversation is over
+  const jobResult = await db.query('SELECT 1 FROM analysis_jobs WHERE session_id = $1 LIMIT 1', [sessionId]);
+  if (jobResult.rows.length > 0) {
+    throw new HttpError(409, 'Session has ended');
+  }
+
+  const { scenario_id, scenario_version, language } = sessionResult.rows[0];
+  const stored = await loadScenario(scenario_id, scenario_version);
+  if (!stored) {
+    throw new HttpError(404, 'Scenario not found');
+  }
+  const scenario = scenarios.localizeScenario(stored, language);
+
+  const msgResult = await db.query(
+    'SELECT role, content FROM transcript_messages WHERE session_id = $1 ORDER BY position',
+    [sessionId]
+  );
+  const history = msgResult.rows.map(r => ({ role: r.role, content: r.content }));
+
+  // Only the redacted message is stored or sent to the model
+  const { content, encryptedOriginal } = redaction.redactForStorage(message.trim());
+
+  return {
+    scenario,
+    history,
+    message: content,
+    encryptedOriginal,
+    audioId: audioId || null,
+    systemPrompt: buildConversationSystemPrompt(scenario),
+  };
+}
 
-    if (!message || typeof message !== 'string') {
-      return res.status(400).json({ error: 'message is required' });
+// Append the user message and assistant reply after the history the reply was
+// generated from. Fails with 409 if another turn was recorded, or analysis
+// was requested, in the meantime, and 404 if the session has been deleted.
+async function appendTurn(sessionId, turn, reply) {
+  // The API rejects empty assistant messages, so storing one would break
+  // every later turn; the participant can send theirs again instead
+  if (!reply.trim()) {
+    throw new Error('Model returned an empty reply');
+  }
+  const historyLength = turn.history.length;
+  const client = await db.pool.connect();
+  try {
+    await client.query('BEGIN');
+    // requestAnalysis takes the same lock before queueing a job
+    const sessionResult = await client.query('SELECT language FROM sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+    // Deleted since the turn was prepared (retention, participant deletion)
+    if (sessionResult.rows.length === 0) {
+      throw new HttpError(404, 'Session not found');
     }
-    if (!scenario || typeof scenario.systemPrompt !== 'string' || typeof scenario.characterName !== 'string') {
-      return res.status(400).json({ error: 'Invalid scenario data' });
+    const { searchConfig } = LANGUAGES[sessionResult.rows[0].language];
+    const jobResult = await client.query('SELECT 1 FROM analysis_jobs WHERE session_id = $1 LIMIT 1', [sessionId]);
+    if (jobResult.rows.length > 0) {
+      throw new HttpError(409, 'Session has ended');
     }
-    
-    const systemPrompt = `${scenario.systemPrompt}\n\nIMPORTANT: Keep your responses SHORT - 2-5 sentences maximum. Be conversational, not a long speech. You are roleplaying as: ${scenario.characterName}`;
-    
-    const messages = [];
-    
-    if (transcript && transcript.length > 0) {
-      transcript.forEach(msg => {
-        messages.push(msg);
-      });
+    const countResult = await client.query(
+      'SELECT COUNT(*)::int AS count FROM transcript_messages WHERE session_id = $1',
+      [sessionId]
+    );
+    if (countResult.rows[0].count !== historyLength) {
+      throw new HttpError(409, 'Conversation was updated by another request');
     }
-    
-    messages.push({
-      role: 'user',
-      content: message
-    });
-    
+    const inserted = await client.query(
+      `INSERT INTO transcript_messages (session_id, role, content, original_encrypted, position, search_config)
+       VALUES ($1, 'user', $2, $3, $4, $7), ($1, 'assistant', $5, NULL, $6, $7)
+       RETURNING id, role`,
+      [sessionId, turn.message, turn.encryptedOriginal, historyLength, reply, historyLength + 1, searchConfig]
+    );
+    if (turn.audioId) {
+      const userMessageId = inserted.rows.find(row => row.role === 'user').id;
+      const spoken = await speech.linkSpeech(client, turn.audioId, sessionId, userMessageId);
+      const recorded = await recordings.linkRecording(client, turn.audioId, sessionId, userMessageId);
+      if (!spoken && !recorded) {
+        console.warn(`Audio ${turn.audioId} not linked to session ${sessionId}: unknown or already used`);
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+app.post('/api/sessions/:id/turns', requireSessionToken, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    const turn = await prepareTurn(sessionId, req.body.message, req.body.audioId);
+
     const response = await anthropic.messages.create({
       model: 'claude-3-haiku-20240307',
       max_tokens: 1024,
-      system: systemPrompt,
-      messages: messages
+      system: turn.systemPrompt,
+      messages: [...turn.history, { role: 'user', content: turn.message }]
     });
-    
-    res.json({ 
-      response: response.content?.[0]?.text || '',
+    const reply = response.content?.[0]?.text || '';
+
+    await appendTurn(sessionId, turn, reply);
+
+    res.json({
+      response: reply,
       role: 'assistant'
     });
   } catch (error) {
-    console.error('Claude error:', error);
-    res.status(500).json({ error: 'Conversation failed' });
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    // Most likely the model API; its errors aren't for participants
+    console.error('Conversation turn error:', error);
+    res.status(502).json({ error: 'Conversation failed' });
   }
 });
 
-app.post('/api/sessions/:id/analyze', async (req, res) => {
+// Same as /turns, but streams the reply as Server-Sent Events: a `token` event
+// per text delta, then `done` with the full reply once the turn is recorded,
+// or `error` if anything fails after the stream has started.
+app.post('/api/sessions/:id/turns/stream', requireSessionToken, async (req, res) => {
+  const sessionId = req.params.id;
+
+  let turn;
   try {
-    const sessionId = req.params.id;
+    turn = await prepareTurn(sessionId, req.body.message, req.body.audioId);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Conversation turn error:', error);
+    return res.status(500).json({ error: 'Conversation failed' });
+  }
 
-    // Check session exists
-    const sessionResult = await db.query('SELECT id FROM sessions WHERE id = $1', [sessionId]);
-    if (sessionResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Session not found' });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+  });
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const stream = anthropic.messages.stream({
+    model: 'claude-3-haiku-20240307',
+    max_tokens: 1024,
+    system: turn.systemPrompt,
+    messages: [...turn.history, { role: 'user', content: turn.message }]
+  });
+
+  // Stop generating if the participant goes away; the turn isn't recorded
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientGone = true;
+      stream.abort();
     }
+  });
 
-    // Respond immediately so the participant isn't kept waiting
-    res.status(202).json({ status: 'analyzing' });
+  stream.on('text', text => sendEvent('token', { text }));
 
-    // Run the actual analysis in the background
-    runAnalysis(sessionId).catch(error => {
-      console.error(`Background analysis error for session ${sessionId}:`, error);
-    });
+  try {
+    const reply = await stream.finalText();
+    await appendTurn(sessionId, turn, reply);
+    sendEvent('done', { response: reply, role: 'assistant' });
   } catch (error) {
-    console.error('Analyze session error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to start analysis' });
-    }
+    if (clientGone) return;
+    console.error('Conversation stream error:', error);
+    sendEvent('error', { error: error instanceof HttpError ? error.message : 'Conversation failed' });
   }
+  res.end();
 });
 
-async function runAnalysis(sessionId) {
-  // Read transcript from database
-  const msgResult = await db.query(
-    'SELECT role, content FROM transcript_messages WHERE session_id = $1 ORDER BY position',
+// Queue an analysis job for the session unless one is already queued or
+// running, in which case that one is returned. Without `rerun` the session's
+// latest job is returned whatever its status, so only staff can have a
+// session analyzed again. Callers hold the session's row lock; the partial
+// unique index on analysis_jobs (one pending job per session) catches any
+// that don't, and the pending job is then returned.
+async function queueAnalysisJob(client, sessionId, { rerun }) {
+  const latest = await client.query(
+    `SELECT id, status FROM analysis_jobs
+     WHERE session_id = $1
+     ORDER BY created_at DESC, id DESC LIMIT 1`,
     [sessionId]
   );
-  const transcript = msgResult.rows;
-
-  const analysisPrompt = `You are an expert workplace skills assessor. Analyze the transcript below and provide DETAILED feedback with SPECIFIC EXAMPLES from the conversation.
-    
-Transcript:
-${transcript.map(m => `${m.role === 'user' ? 'PARTICIPANT' : 'AI SCENARIO'}: ${m.content}`).join('\n')}
-
-For each dimension below, provide:
-1. A score from 1-5
-2. Detailed feedback (2-3 sentences) explaining the score
-3. At least one SPECIFIC QUOTE from the transcript that supports your assessment
-
-Return JSON in this exact format:
-{
-  "conflictResolution": { 
-    "score": 1-5, 
-    "quote": "specific quote from transcript",
-    "feedback": "detailed explanation with specific example"
-  },
-  "professionalism": { 
-    "score": 1-5, 
-    "quote": "specific quote from transcript", 
-    "feedback": "detailed explanation with specific example"
-  },
-  "articulation": { 
-    "score": 1-5, 
-    "quote": "specific quote from transcript", 
-    "feedback": "detailed explanation with specific example"
-  },
-  "learning": { 
-    "score": 1-5, 
-    "quote": "specific quote from transcript", 
-    "feedback": "detailed explanation with specific example"
-  },
-  "overallSummary": "2-3 sentence summary of participant performance"
-}`;
+  const job = latest.rows[0];
+  if (job && (!rerun || job.status === 'queued' || job.status === 'running')) {
+    return { ...job, created: false };
+  }
+  const inserted = await client.query(
+    `INSERT INTO analysis_jobs (session_id) VALUES ($1)
+     ON CONFLICT (session_id) WHERE status IN ('queued', 'running') DO NOTHING
+     RETURNING id, status`,
+    [sessionId]
+  );
+  if (inserted.rows.length === 0) return queueAnalysisJob(client, sessionId, { rerun });
+  return { ...inserted.rows[0], created: true };
+}
 
-  const response = await anthropic.messages.create({
-    model: 'claude-3-haiku-20240307',
-    max_tokens: 2048,
-    messages: [{ role: 'user', content: analysisPrompt }]
-  });
+// Participants ask for their session to be analyzed once, when it ends;
+// staff can rerun the analysis
+function requestAnalysis({ rerun }) {
+  return async (req, res) => {
+    try {
+      const sessionId = req.params.id;
 
-  let analysis;
-  try {
-    const responseText = response.content?.[0]?.text;
-    if (!responseText) throw new Error('Empty response from API');
-    analysis = JSON.parse(responseText);
-  } catch {
-    analysis = { rawAnalysis: response.content?.[0]?.text || 'Analysis failed to parse' };
-  }
+      // Check session exists
+      const sessionResult = await db.query('SELECT id FROM sessions WHERE id = $1', [sessionId]);
+      if (sessionResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
 
-  // Upsert analysis result
-  await db.query(
-    `INSERT INTO analyses (session_id, result) VALUES ($1, $2)
-     ON CONFLICT (session_id) DO UPDATE SET result = $2, updated_at = NOW()`,
-    [sessionId, JSON.stringify(analysis)]
-  );
+      // Under the session's row lock, so a turn being recorded right now
+      // (appendTurn) either makes it into the analysis or is turned away, and
+      // concurrent requests queue one job between them
+      const client = await db.pool.connect();
+      let job;
+      try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+        job = await queueAnalysisJob(client, sessionId, { rerun });
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+      if (!job.created) {
+        const pending = job.status === 'queued' || job.status === 'running';
+        return res.status(pending ? 202 : 200).json({ status: job.status, jobId: job.id });
+      }
 
-  console.log(`Analysis complete for session ${sessionId}`);
+      // Respond immediately so the participant isn't kept waiting; the worker
+      // loop picks the job up from the database
+      res.status(202).json({ status: 'queued', jobId: job.id });
+      wakeAnalysisWorker();
+    } catch (error) {
+      console.error('Analyze session error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to start analysis' });
+      }
+    }
+  };
 }
 
-// Simple token-based admin auth middleware
-function requireAdminAuth(req, res, next) {
-  const adminToken = process.env.ADMIN_TOKEN;
-  if (!adminToken) {
-    return res.status(503).json({ error: 'Admin access not configured' });
+app.post('/api/sessions/:id/analyze', requireSessionToken, requestAnalysis({ rerun: false }));
+
+// Staff retry of a failed or never-requested analysis, or a rerun
+app.post('/api/admin/sessions/:id/analyze', requireAdminAuth, requireRole('assessor'), requestAnalysis({ rerun: true }));
+
+const MAX_ANALYSIS_ATTEMPTS = 3;
+const ANALYSIS_RETRY_BASE_MS = 2000;
+const ANALYSIS_RETRY_MAX_MS = 60000;
+
+// How long to wait before retrying after an API error: what the API asks for
+// in retry-after, if anything, else exponential backoff from
+// ANALYSIS_RETRY_BASE_MS with jitter, so rate-limited or overloaded (429/529)
+// calls don't burn through every attempt at once
+function analysisRetryDelay(error, attempt) {
+  const headers = error.headers || {};
+  const retryAfterMs = Number(headers['retry-after-ms']);
+  let delay = Number.isFinite(retryAfterMs) && retryAfterMs > 0 ? retryAfterMs : null;
+  if (delay === null && headers['retry-after']) {
+    const seconds = Number(headers['retry-after']);
+    delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(headers['retry-after']) - Date.now();
+    if (!(delay > 0)) delay = null;
   }
-  const provided = req.headers.authorization?.replace('Bearer ', '');
-  if (provided !== adminToken) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (delay === null) {
+    const backoff = ANALYSIS_RETRY_BASE_MS * 2 ** (attempt - 1);
+    delay = backoff / 2 + Math.random() * backoff / 2;
   }
-  next();
+  return Math.min(delay, ANALYSIS_RETRY_MAX_MS);
 }
 
-app.get('/api/admin/sessions', requireAdminAuth, async (req, res) => {
-  try {
-    // Single query: get all sessions with the first user message as summary
-    const result = await db.query(`
-      SELECT
-        s.id,
+// ---- Analysis job queue ----
+//
+// Jobs live in analysis_jobs. Workers claim them with FOR UPDATE SKIP LOCKED so
+// several server instances can share the queue, and keep locked_at fresh while
+// running. A running job whose lock goes stale (crash, deploy) is reclaimed.
+
+const ANALYSIS_CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 2;
+const ANALYSIS_POLL_INTERVAL_MS = 5000;
+const ANALYSIS_HEARTBEAT_MS = 30000;
+const ANALYSIS_LOCK_TIMEOUT = '2 minutes';
+const ANALYSIS_DRAIN_TIMEOUT_MS = 20000;
+
+const analysisWorker = {
+  active: new Map(), // jobId -> promise
+  pollTimer: null,
+  heartbeatTimer: null,
+  polling: false,
+  stopping: false,
+};
+
+// Atomically claim the oldest queued (or stale running) job
+async function claimAnalysisJob() {
+  const result = await db.query(
+    `UPDATE analysis_jobs
+     SET status = 'running', started_at = COALESCE(started_at, NOW()), locked_at = NOW()
+     WHERE id = (
+       SELECT id FROM analysis_jobs
+       WHERE status = 'queued'
+          OR (status = 'running' AND locked_at < NOW() - $1::interval)
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING id, session_id, attempts`,
+    [ANALYSIS_LOCK_TIMEOUT]
+  );
+  return result.rows[0] || null;
+}
+
+async function pollAnalysisJobs() {
+  if (analysisWorker.polling || analysisWorker.stopping) return;
+  analysisWorker.polling = true;
+  try {
+    while (!analysisWorker.stopping && analysisWorker.active.size < ANALYSIS_CONCURRENCY) {
+      const job = await claimAnalysisJob();
+      if (!job) break;
+      const promise = runAnalysisJob(job)
+        .catch(error => {
+          console.error(`Analysis job ${job.id} for session ${job.session_id} failed:`, error.message);
+        })
+        .finally(() => {
+          analysisWorker.active.delete(job.id);
+          wakeAnalysisWorker();
+        });
+      analysisWorker.active.set(job.id, promise);
+    }
+  } catch (error) {
+    console.error('Analysis queue poll error:', error);
+  } finally {
+    analysisWorker.polling = false;
+  }
+}
+
+// Check for work now instead of waiting for the next poll
+function wakeAnalysisWorker() {
+  if (analysisWorker.stopping) return;
+  setImmediate(pollAnalysisJobs);
+}
+
+function startAnalysisWorker() {
+  analysisWorker.pollTimer = setInterval(pollAnalysisJobs, ANALYSIS_POLL_INTERVAL_MS);
+  analysisWorker.heartbeatTimer = setInterval(() => {
+    const ids = [...analysisWorker.active.keys()];
+    if (ids.length === 0) return;
+    db.query('UPDATE analysis_jobs SET locked_at = NOW() WHERE id = ANY($1)', [ids])
+      .catch(error => console.error('Analysis heartbeat error:', error));
+  }, ANALYSIS_HEARTBEAT_MS);
+  // Picks up anything left queued or orphaned by a previous process
+  wakeAnalysisWorker();
+  console.log(`Analysis worker started (concurrency ${ANALYSIS_CONCURRENCY})`);
+}
+
+// Stop claiming new jobs and wait for in-flight ones. Jobs still running after
+// the drain timeout are put back in the queue for the next process.
+async function stopAnalysisWorker() {
+  analysisWorker.stopping = true;
+  clearInterval(analysisWorker.pollTimer);
+  clearInterval(analysisWorker.heartbeatTimer);
+
+  if (analysisWorker.active.size === 0) return;
+  console.log(`Waiting for ${analysisWorker.active.size} analysis job(s) to finish...`);
+
+  let drainTimer;
+  const timedOut = new Promise(resolve => {
+    drainTimer = setTimeout(() => resolve(true), ANALYSIS_DRAIN_TIMEOUT_MS);
+  });
+  const drained = Promise.allSettled([...analysisWorker.active.values()]).then(() => false);
+  const didTimeOut = await Promise.race([drained, timedOut]);
+  clearTimeout(drainTimer);
+
+  if (didTimeOut && analysisWorker.active.size > 0) {
+    const ids = [...analysisWorker.active.keys()];
+    console.warn(`Requeueing ${ids.length} unfinished analysis job(s)`);
+    await db.query(
+      "UPDATE analysis_jobs SET status = 'queued', locked_at = NULL WHERE id = ANY($1) AND status = 'running'",
+      [ids]
+    );
+  }
+}
+
+// Run a claimed analysis job, recording its progress in analysis_jobs
+async function runAnalysisJob(job) {
+  try {
+    if (job.attempts >= MAX_ANALYSIS_ATTEMPTS) {
+      throw new Error(`Analysis did not finish within ${MAX_ANALYSIS_ATTEMPTS} attempts`);
+    }
+    await runAnalysis(job.session_id, {
+      firstAttempt: job.attempts + 1,
+      onAttempt: async (attempt, error) => {
+        await db.query(
+          'UPDATE analysis_jobs SET attempts = $2, last_error = $3 WHERE id = $1',
+          [job.id, attempt, error]
+        );
+      },
+    });
+    await db.query(
+      "UPDATE analysis_jobs SET status = 'succeeded', finished_at = NOW(), locked_at = NULL WHERE id = $1",
+      [job.id]
+    );
+  } catch (error) {
+    await db.query(
+      "UPDATE analysis_jobs SET status = 'failed', last_error = $2, finished_at = NOW(), locked_at = NULL WHERE id = $1",
+      [job.id, error.message]
+    );
+    throw error;
+  }
+}
+
+// Score a session's transcript against its scenario rubric. The model's output
+// is strictly validated; malformed responses are sent back with a repair
+// prompt, up to MAX_ANALYSIS_ATTEMPTS calls in total (counting from
+// firstAttempt, for resumed jobs). onAttempt(attempt, error) is called after
+// each call with the error message, or null on success.
+async function runAnalysis(sessionId, { firstAttempt = 1, onAttempt = async () => {} } = {}) {
+  const sessionResult = await db.query('SELECT scenario_id, scenario_version, language FROM sessions WHERE id = $1', [sessionId]);
+  if (sessionResult.rows.length === 0) {
+    throw new Error(`Session ${sessionId} not found`);
+  }
+  const { scenario_id, scenario_version, language } = sessionResult.rows[0];
+  const scenario = await loadScenario(scenario_id, scenario_version);
+  const rubric = getRubric(scenario);
+
+  // Read transcript from database, with delivery metrics for spoken turns
+  const msgResult = await db.query(
+    `SELECT m.role, m.content, sp.delivery
+     FROM transcript_messages m
+     LEFT JOIN message_speech sp ON sp.message_id = m.id
+     WHERE m.session_id = $1 ORDER BY m.position`,
+    [sessionId]
+  );
+  const transcript = msgResult.rows.map(m => ({
+    role: m.role,
+    content: m.content,
+    delivery: m.delivery ? delivery.describeDelivery(m.delivery) : null,
+  }));
+  const deliverySummary = delivery.summarizeDelivery(msgResult.rows.filter(m => m.delivery).map(m => m.delivery));
+
+  const initialMessages = [{ role: 'user', content: buildAnalysisPrompt(rubric, transcript, { language }) }];
+  let messages = initialMessages;
+  let analysis = null;
+  let lastError = null;
+
+  for (let attempt = firstAttempt; attempt <= MAX_ANALYSIS_ATTEMPTS && !analysis; attempt++) {
+    let responseText;
+    try {
+      const response = await anthropic.messages.create({
+        model: 'claude-3-haiku-20240307',
+        max_tokens: 2048,
+        messages,
+      });
+      responseText = response.content?.[0]?.text || '';
+    } catch (error) {
+      // API failure: retry the original prompt as-is, after a wait
+      lastError = `Anthropic API error: ${error.message}`;
+      messages = initialMessages;
+      await onAttempt(attempt, lastError);
+      if (attempt < MAX_ANALYSIS_ATTEMPTS) {
+        const delay = analysisRetryDelay(error, attempt);
+        console.warn(`[analysis] Attempt ${attempt} for session ${sessionId} failed (${error.message}); retrying in ${Math.round(delay / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      continue;
+    }
+
+    const parsed = parseAnalysis(responseText, rubric, language);
+    if (parsed.analysis) {
+      analysis = parsed.analysis;
+      lastError = null;
+    } else {
+      lastError = parsed.errors.join('; ');
+      console.warn(`[analysis] Attempt ${attempt} for session ${sessionId} invalid: ${lastError}`);
+      messages = [
+        ...messages,
+        { role: 'assistant', content: responseText || '(empty response)' },
+        { role: 'user', content: buildRepairPrompt(parsed.errors) },
+      ];
+    }
+    await onAttempt(attempt, lastError);
+  }
+
+  if (!analysis) {
+    throw new Error(`Analysis failed after ${MAX_ANALYSIS_ATTEMPTS} attempts: ${lastError}`);
+  }
+
+  // Keep the rubric alongside the scores so the admin view can render them
+  // even if the scenario's rubric is edited later
+  analysis.overallScore = computeOverallScore(analysis, rubric);
+  analysis.rubric = rubric;
+  analysis.language = language;
+  if (deliverySummary) analysis.delivery = deliverySummary;
+
+  // Upsert analysis result
+  await db.query(
+    `INSERT INTO analyses (session_id, result) VALUES ($1, $2)
+     ON CONFLICT (session_id) DO UPDATE SET result = $2, updated_at = NOW()`,
+    [sessionId, JSON.stringify(analysis)]
+  );
+
+  console.log(`Analysis complete for session ${sessionId}`);
+}
+
+// ---- Admin auth ----
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Staff requests worth auditing: reads of participant data and every change.
+// Routes not listed here (list views, status polling) aren't recorded unless
+// they modify something. `target` names the route param that identifies what
+// was touched; session targets also fill the log's session_id column. `when`
+// limits an entry to some requests to the route.
+const AUDITED_ROUTES = {
+  'GET /api/sessions/:id': { action: 'session.view', target: 'session' },
+  'GET /api/admin/exports/sessions.csv': { action: 'session.export_csv' },
+  'GET /api/admin/sessions/:id/export.json': { action: 'session.export_json', target: 'session' },
+  'GET /api/admin/sessions/:id/report.html': { action: 'session.report', target: 'session' },
+  'GET /api/admin/sessions/:id/originals': { action: 'session.view_originals', target: 'session' },
+  // The player fetches a recording in Range chunks and again on every seek;
+  // only the request for its start counts as playing it
+  'GET /api/admin/sessions/:id/recordings/:audioId': {
+    action: 'session.play_recording',
+    target: 'session',
+    when: req => !req.headers.range || /^bytes=0-/.test(req.headers.range),
+  },
+  'POST /api/admin/sessions/:id/analyze': { action: 'analysis.rerun', target: 'session' },
+  'GET /api/admin/participants/:id': { action: 'participant.view', target: 'participant' },
+  'GET /api/admin/participants/:id/report': { action: 'participant.report', target: 'participant' },
+  'POST /api/admin/participants': { action: 'participant.create', target: 'participant' },
+  'DELETE /api/admin/participants/:id': { action: 'participant.delete', target: 'participant' },
+  'POST /api/admin/participants/:id/invites': { action: 'invite.create', target: 'participant' },
+  'POST /api/admin/scenarios': { action: 'scenario.create', target: 'scenario' },
+  'PUT /api/admin/scenarios/:id': { action: 'scenario.update', target: 'scenario' },
+  'POST /api/admin/scenarios/:id/archive': { action: 'scenario.archive', target: 'scenario' },
+  'POST /api/admin/scenarios/:id/restore': { action: 'scenario.restore', target: 'scenario' },
+  'POST /api/admin/scenarios/preview-turn': { action: 'scenario.preview' },
+  'POST /api/admin/users': { action: 'user.create', target: 'user' },
+  'PATCH /api/admin/users/:id': { action: 'user.update', target: 'user' },
+  'POST /api/admin/me/password': { action: 'user.change_password' },
+  'POST /api/admin/logout': { action: 'auth.logout' },
+  'GET /api/admin/audit-log': { action: 'audit.view' },
+};
+
+// Record the request in the audit log once the response has gone out.
+// Handlers that create something set res.locals.auditTargetId to its id.
+function auditRequest(req, res) {
+  const routeKey = `${req.method} ${req.route.path}`;
+  const audited = AUDITED_ROUTES[routeKey] || (req.method !== 'GET' && { action: routeKey });
+  if (!audited || (audited.when && !audited.when(req))) return;
+
+  const details = {};
+  if (Object.keys(req.query).length > 0) details.query = req.query;
+  // Field names only; bodies can hold passwords and prompts
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0 && req.method !== 'GET') {
+    details.fields = Object.keys(req.body);
+  }
+  const targetId = audited.target ? (req.params.id || null) : null;
+
+  res.on('finish', () => {
+    const resolvedTargetId = targetId || res.locals.auditTargetId || null;
+    recordAudit({
+      actor: req.adminUser,
+      action: audited.action,
+      targetType: audited.target || null,
+      targetId: resolvedTargetId,
+      sessionId: audited.target === 'session' ? resolvedTargetId : null,
+      status: res.statusCode,
+      ip: req.ip,
+      details: Object.keys(details).length > 0 ? details : null,
+    });
+  });
+}
+
+// Resolve the bearer token to a signed-in staff user (any role) as req.adminUser
+async function requireAdminAuth(req, res, next) {
+  try {
+    const user = await auth.findSessionUser(bearerToken(req));
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.adminUser = user;
+    auditRequest(req, res);
+    next();
+  } catch (error) {
+    console.error('Admin auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+// Must follow requireAdminAuth. Roles are ordered viewer < assessor < owner.
+function requireRole(minimum) {
+  return (req, res, next) => {
+    if (!auth.roleAtLeast(req.adminUser.role, minimum)) {
+      return res.status(403).json({ error: `Requires the ${minimum} role` });
+    }
+    next();
+  };
+}
+
+// Failed logins per email, to slow down password guessing. In-process only,
+// which is enough for a single app container.
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+const loginFailures = new Map(); // lowercased email -> { count, firstAt }
+// Guesses at made-up emails add entries too, so expired ones are swept and
+// the oldest dropped past this many
+const MAX_LOGIN_FAILURE_ENTRIES = 10000;
+
+function loginLockedOut(key) {
+  const entry = loginFailures.get(key);
+  if (!entry) return false;
+  if (Date.now() - entry.firstAt > LOGIN_LOCKOUT_MS) {
+    loginFailures.delete(key);
+    return false;
+  }
+  return entry.count >= LOGIN_MAX_FAILURES;
+}
+
+function recordLoginFailure(key) {
+  const now = Date.now();
+  const entry = loginFailures.get(key);
+  if (entry && now - entry.firstAt <= LOGIN_LOCKOUT_MS) {
+    entry.count++;
+    return;
+  }
+  loginFailures.delete(key);
+  for (const [oldKey, old] of loginFailures) {
+    if (now - old.firstAt > LOGIN_LOCKOUT_MS) loginFailures.delete(oldKey);
+  }
+  // Maps iterate in insertion order, so the first entry is the oldest
+  if (loginFailures.size >= MAX_LOGIN_FAILURE_ENTRIES) {
+    loginFailures.delete(loginFailures.keys().next().value);
+  }
+  loginFailures.set(key, { count: 1, firstAt: now });
+}
+
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string' || !email.trim() || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
+    }
+    const key = email.trim().toLowerCase();
+    if (loginLockedOut(key)) {
+      return res.status(429).json({ error: 'Too many failed attempts. Try again later.' });
+    }
+
+    const user = await auth.authenticate(email, password);
+    if (!user) {
+      recordLoginFailure(key);
+      recordAudit({ action: 'auth.login_failed', status: 401, ip: req.ip, details: { email: email.trim() } });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    loginFailures.delete(key);
+    recordAudit({ actor: user, action: 'auth.login', targetType: 'user', targetId: user.id, status: 200, ip: req.ip });
+
+    const { token, expiresAt } = await auth.createSession(user.id);
+    res.json({ token, expiresAt, user });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/admin/logout', requireAdminAuth, async (req, res) => {
+  try {
+    await auth.deleteSession(bearerToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.get('/api/admin/me', requireAdminAuth, (req, res) => {
+  res.json(req.adminUser);
+});
+
+app.post('/api/admin/me/password', requireAdminAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!(await auth.changePassword(req.adminUser.id, currentPassword, newPassword))) {
+      return res.status(403).json({ error: 'Current password is incorrect' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// ---- Staff user management (owners only) ----
+
+app.get('/api/admin/users', requireAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await auth.listAdminUsers());
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+app.post('/api/admin/users', requireAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { email, name, password, role } = req.body;
+    const user = await auth.createAdminUser({ email, name, password, role });
+    res.locals.auditTargetId = user.id;
+    res.status(201).json(user);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+app.patch('/api/admin/users/:id', requireAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const { name, role, disabled, password } = req.body;
+    const user = await auth.updateAdminUser(req.params.id, { name, role, disabled, password });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+const ADMIN_SESSIONS_PAGE_SIZE = 25;
+const ANALYSIS_STATUSES = ['none', 'queued', 'running', 'succeeded', 'failed'];
+
+// Cursors are opaque to the client: the (created_at, id) of the last row.
+// created_at is kept as Postgres text so microseconds survive the round trip.
+function encodeSessionCursor(row) {
+  return Buffer.from(JSON.stringify([row.cursor_created_at, row.id])).toString('base64url');
+}
+
+function decodeSessionCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (typeof createdAt !== 'string' || typeof id !== 'string') return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+// Translate admin session list query parameters into SQL conditions on the
+// session list subquery (aliased `s`). Returns { conditions, params } or
+// { error } for invalid input.
+function buildSessionFilters(query) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+  if (query.participantId) add('s.participant_id = ?', String(query.participantId));
+  if (query.cohort) add('s.cohort = ?', String(query.cohort));
+  if (query.scenarioId) add('s.scenario_id = ?', String(query.scenarioId));
+
+  if (query.from) {
+    if (!isDate(query.from)) return { error: 'from must be a date (YYYY-MM-DD)' };
+    add('s.created_at >= ?::date', query.from);
+  }
+  if (query.to) {
+    if (!isDate(query.to)) return { error: 'to must be a date (YYYY-MM-DD)' };
+    // Inclusive of the whole "to" day
+    add("s.created_at < ?::date + INTERVAL '1 day'", query.to);
+  }
+
+  if (query.status) {
+    if (!ANALYSIS_STATUSES.includes(query.status)) {
+      return { error: `status must be one of ${ANALYSIS_STATUSES.join(', ')}` };
+    }
+    add('s.analysis_status = ?', query.status);
+  }
+
+  for (const [param, op] of [['minScore', '>='], ['maxScore', '<=']]) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const score = Number(query[param]);
+    if (!Number.isFinite(score) || score < 1 || score > 5) {
+      return { error: `${param} must be a number from 1 to 5` };
+    }
+    add(`s.overall_score ${op} ?`, score);
+  }
+
+  if (query.q) {
+    const q = String(query.q).trim();
+    if (q.length > 200) return { error: 'q must be under 200 characters' };
+    if (q) {
+      // Messages are indexed in their session's language, and the search
+      // could be in any of them, so it's parsed with every language's config
+      const tsquery = [...new Set(Object.values(LANGUAGES).map(l => l.searchConfig))]
+        .map(config => `websearch_to_tsquery('${config}', ?)`)
+        .join(' || ');
+      add(`EXISTS (
+        SELECT 1 FROM transcript_messages tm
+        WHERE tm.session_id = s.id
+          AND to_tsvector(tm.search_config, tm.content) @@ (${tsquery})
+      )`, q);
+    }
+  }
+
+  if (query.cursor) {
+    const cursor = decodeSessionCursor(String(query.cursor));
+    if (!cursor) return { error: 'Invalid cursor' };
+    params.push(cursor.createdAt, cursor.id);
+    conditions.push(`(s.created_at, s.id) < ($${params.length - 1}::timestamptz, $${params.length})`);
+  }
+
+  return { conditions, params };
+}
+
+// Run the admin session list query with conditions from buildSessionFilters.
+// Rows include participant, analysis status/score and the first user message
+// as summary; with includeResult, the full analysis result too.
+async function selectSessions({ conditions, params }, limit, { includeResult = false } = {}) {
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const queryParams = [...params, limit];
+
+  // Wrapped in a subquery so filters can refer to the computed columns
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT
+        s.id,
         s.created_at,
+        s.created_at::text AS cursor_created_at,
+        s.scenario_id,
+        s.scenario_version,
+        s.participant_id,
+        p.name AS participant_name,
+        p.external_id AS participant_external_id,
+        p.cohort,
+        (a.result->>'overallScore')::numeric AS overall_score,
+        COALESCE(job.status, CASE WHEN a.session_id IS NOT NULL THEN 'succeeded' ELSE 'none' END) AS analysis_status,
         COALESCE(
           CASE WHEN LENGTH(first_user_msg.content) > 100 THEN SUBSTRING(first_user_msg.content FROM 1 FOR 100) || '...' ELSE first_user_msg.content END,
-          'No messages'
+          CASE WHEN s.anonymized_at IS NOT NULL THEN 'Transcript removed under the retention policy' ELSE 'No messages' END
         ) AS summary
+        ${includeResult ? ', a.result' : ''}
       FROM sessions s
+      LEFT JOIN participants p ON p.id = s.participant_id
+      LEFT JOIN analyses a ON a.session_id = s.id
+      LEFT JOIN LATERAL (
+        SELECT status
+        FROM analysis_jobs aj
+        WHERE aj.session_id = s.id
+        ORDER BY aj.created_at DESC
+        LIMIT 1
+      ) job ON true
       LEFT JOIN LATERAL (
         SELECT content
         FROM transcript_messages tm
@@ -501,38 +1614,653 @@ app.get('/api/admin/sessions', requireAdminAuth, async (req, res) => {
         ORDER BY tm.position
         LIMIT 1
       ) first_user_msg ON true
-      ORDER BY s.created_at DESC
-    `);
+    ) s
+    ${where}
+    ORDER BY s.created_at DESC, s.id DESC
+    LIMIT $${queryParams.length}
+  `, queryParams);
 
-    res.json(result.rows);
+  return result.rows.map(({ overall_score, ...row }) => ({
+    ...row,
+    overall_score: overall_score === null ? null : Number(overall_score),
+  }));
+}
+
+app.get('/api/admin/sessions', requireAdminAuth, async (req, res) => {
+  try {
+    const filters = buildSessionFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ADMIN_SESSIONS_PAGE_SIZE, 1), 100);
+    // One extra row tells us whether there's another page
+    const rows = await selectSessions(filters, limit + 1);
+    const page = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeSessionCursor(page[page.length - 1]) : null;
+
+    res.json({
+      sessions: page.map(({ cursor_created_at: _cursor, ...row }) => row),
+      nextCursor,
+    });
   } catch (error) {
     console.error('Admin sessions error:', error);
     res.status(500).json({ error: 'Failed to list sessions' });
   }
 });
 
-const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// ---- Exports ----
+
+const MAX_EXPORT_SESSIONS = 5000;
+
+// Everything about one session, for the JSON bundle and printable report.
+// Returns null if the session doesn't exist.
+async function loadSessionBundle(sessionId) {
+  const sessionResult = await db.query(
+    `SELECT s.id, s.scenario_id, s.scenario_version, s.language, s.created_at,
+       p.id AS participant_id, p.name AS participant_name, p.external_id, p.cohort
+     FROM sessions s
+     LEFT JOIN participants p ON p.id = s.participant_id
+     WHERE s.id = $1`,
+    [sessionId]
+  );
+  if (sessionResult.rows.length === 0) return null;
+  const row = sessionResult.rows[0];
+
+  const msgResult = await db.query(
+    'SELECT role, content, created_at FROM transcript_messages WHERE session_id = $1 ORDER BY position',
+    [sessionId]
+  );
+  const analysisResult = await db.query(
+    'SELECT result, created_at, updated_at FROM analyses WHERE session_id = $1',
+    [sessionId]
+  );
+  const analysisRow = analysisResult.rows[0];
+
+  return {
+    session: {
+      id: row.id,
+      scenarioId: row.scenario_id,
+      scenarioVersion: row.scenario_version,
+      language: row.language,
+      createdAt: row.created_at,
+    },
+    participant: row.participant_id
+      ? { id: row.participant_id, name: row.participant_name, externalId: row.external_id, cohort: row.cohort }
+      : null,
+    scenario: await loadScenario(row.scenario_id, row.scenario_version),
+    transcript: msgResult.rows.map(m => ({ role: m.role, content: m.content, createdAt: m.created_at })),
+    analysis: analysisRow ? analysisRow.result : null,
+    analyzedAt: analysisRow ? analysisRow.updated_at : null,
+  };
+}
+
+function exportFilename(base, ext) {
+  return `${base}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+app.get('/api/admin/exports/sessions.csv', requireAdminAuth, async (req, res) => {
+  try {
+    const filters = buildSessionFilters({ ...req.query, cursor: undefined });
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    const rows = await selectSessions(filters, MAX_EXPORT_SESSIONS, { includeResult: true });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename('vibesonly-scores', 'csv')}"`);
+    res.send(buildScoresCsv(rows));
+  } catch (error) {
+    console.error('Export CSV error:', error);
+    res.status(500).json({ error: 'Failed to export sessions' });
+  }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    db.pool.end().then(() => {
-      console.log('Database pool closed');
-      process.exit(0);
+app.get('/api/admin/sessions/:id/export.json', requireAdminAuth, async (req, res) => {
+  try {
+    const bundle = await loadSessionBundle(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(`session-${req.params.id.slice(-6)}`, 'json')}"`);
+    res.json({ exportedAt: new Date().toISOString(), ...bundle });
+  } catch (error) {
+    console.error('Export JSON error:', error);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
+app.get('/api/admin/sessions/:id/report.html', requireAdminAuth, async (req, res) => {
+  try {
+    const bundle = await loadSessionBundle(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.type('html').send(buildSessionReportHtml(bundle));
+  } catch (error) {
+    console.error('Export report error:', error);
+    res.status(500).json({ error: 'Failed to build session report' });
+  }
+});
+
+// Decrypt the original text of redacted messages. Owners only, and every
+// use is audited.
+app.get('/api/admin/sessions/:id/originals', requireAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    if (!redaction.canStoreOriginals()) {
+      return res.status(503).json({ error: 'REDACTION_ENCRYPTION_KEY is not configured' });
+    }
+    const result = await db.query(
+      `SELECT position, original_encrypted FROM transcript_messages
+       WHERE session_id = $1 AND original_encrypted IS NOT NULL
+       ORDER BY position`,
+      [req.params.id]
+    );
+    const originals = {};
+    for (const row of result.rows) {
+      try {
+        originals[row.position] = redaction.decryptOriginal(row.original_encrypted);
+      } catch (err) {
+        // Encrypted under a different key
+        console.error(`Failed to decrypt message ${row.position} of session ${req.params.id}:`, err.message);
+        originals[row.position] = null;
+      }
+    }
+    res.json({ originals });
+  } catch (error) {
+    console.error('Get originals error:', error);
+    res.status(500).json({ error: 'Failed to load original messages' });
+  }
+});
+
+// Parse a single "bytes=start-end" Range header against a body of `size`
+// bytes. Returns { start, end } (inclusive), null for no range, or false if
+// it can't be satisfied.
+function parseByteRange(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return false;
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+  return start <= end && start < size ? { start, end } : false;
+}
+
+// Stream a participant's recorded turn. Supports Range requests so players
+// can seek. Recordings aren't redacted, so viewers can't play them.
+app.get('/api/admin/sessions/:id/recordings/:audioId', requireAdminAuth, requireRole('assessor'), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.audioId)) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    const info = await recordings.getRecordingInfo(req.params.id, req.params.audioId);
+    if (!info) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const range = parseByteRange(req.headers.range, info.size);
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${info.size}`);
+      return res.status(416).json({ error: 'Requested range not satisfiable' });
+    }
+    const { start, end } = range || { start: 0, end: info.size - 1 };
+    const chunk = await recordings.readRecording(req.params.audioId, start, end - start + 1);
+
+    res.status(range ? 206 : 200);
+    res.setHeader('Content-Type', info.mimeType);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (range) res.setHeader('Content-Range', `bytes ${start}-${end}/${info.size}`);
+    res.send(chunk);
+  } catch (error) {
+    console.error('Get recording error:', error);
+    res.status(500).json({ error: 'Failed to load recording' });
+  }
+});
+
+// ---- Participants & invites ----
+
+app.get('/api/admin/cohorts', requireAdminAuth, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT DISTINCT cohort FROM participants WHERE cohort IS NOT NULL ORDER BY cohort'
+    );
+    res.json(result.rows.map(r => r.cohort));
+  } catch (error) {
+    console.error('Admin cohorts error:', error);
+    res.status(500).json({ error: 'Failed to list cohorts' });
+  }
+});
+
+app.get('/api/admin/participants', requireAdminAuth, async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.cohort) {
+      params.push(req.query.cohort);
+      where = 'WHERE p.cohort = $1';
+    }
+    const result = await db.query(`
+      SELECT p.id, p.name, p.external_id, p.cohort, p.created_at,
+        COUNT(s.id)::int AS session_count,
+        MAX(s.created_at) AS last_session_at
+      FROM participants p
+      LEFT JOIN sessions s ON s.participant_id = p.id
+      ${where}
+      GROUP BY p.id
+      ORDER BY p.name
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Admin participants error:', error);
+    res.status(500).json({ error: 'Failed to list participants' });
+  }
+});
+
+app.post('/api/admin/participants', requireAdminAuth, requireRole('assessor'), async (req, res) => {
+  try {
+    const { name, externalId, cohort } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim() || name.length > 200) {
+      return res.status(400).json({ error: 'name is required and must be under 200 characters' });
+    }
+    for (const [field, value] of [['externalId', externalId], ['cohort', cohort]]) {
+      if (value != null && (typeof value !== 'string' || value.length > 200)) {
+        return res.status(400).json({ error: `${field} must be a string under 200 characters` });
+      }
+    }
+
+    const result = await db.query(
+      `INSERT INTO participants (id, name, external_id, cohort) VALUES ($1, $2, $3, $4)
+       RETURNING id, name, external_id, cohort, created_at`,
+      [crypto.randomUUID(), name.trim(), externalId?.trim() || null, cohort?.trim() || null]
+    );
+    res.locals.auditTargetId = result.rows[0].id;
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A participant with that external ID already exists' });
+    }
+    console.error('Create participant error:', error);
+    res.status(500).json({ error: 'Failed to create participant' });
+  }
+});
+
+app.get('/api/admin/participants/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const participantResult = await db.query(
+      'SELECT id, name, external_id, cohort, created_at FROM participants WHERE id = $1',
+      [req.params.id]
+    );
+    if (participantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    const sessionsResult = await db.query(
+      `SELECT s.id, s.scenario_id, s.scenario_version, s.created_at, (a.session_id IS NOT NULL) AS analyzed
+       FROM sessions s
+       LEFT JOIN analyses a ON a.session_id = s.id
+       WHERE s.participant_id = $1
+       ORDER BY s.created_at DESC`,
+      [req.params.id]
+    );
+    const invitesResult = await db.query(
+      `SELECT code, scenario_id, session_id, expires_at, used_at, created_at
+       FROM invites WHERE participant_id = $1
+       ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      ...participantResult.rows[0],
+      sessions: sessionsResult.rows,
+      invites: invitesResult.rows,
+    });
+  } catch (error) {
+    console.error('Get participant error:', error);
+    res.status(500).json({ error: 'Failed to get participant' });
+  }
+});
+
+app.get('/api/admin/participants/:id/report', requireAdminAuth, async (req, res) => {
+  try {
+    const participantResult = await db.query(
+      'SELECT id, name, external_id, cohort FROM participants WHERE id = $1',
+      [req.params.id]
+    );
+    if (participantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    const analysesResult = await db.query(
+      `SELECT s.id AS session_id, s.scenario_id, s.created_at, a.result
+       FROM sessions s
+       JOIN analyses a ON a.session_id = s.id
+       WHERE s.participant_id = $1
+       ORDER BY s.created_at`,
+      [req.params.id]
+    );
+
+    res.json({
+      participant: participantResult.rows[0],
+      ...buildProgressReport(analysesResult.rows),
+    });
+  } catch (error) {
+    console.error('Participant report error:', error);
+    res.status(500).json({ error: 'Failed to build participant report' });
+  }
+});
+
+app.post('/api/admin/participants/:id/invites', requireAdminAuth, requireRole('assessor'), async (req, res) => {
+  try {
+    const { scenarioId, expiresInDays } = req.body;
+    if (!scenarioId || typeof scenarioId !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(scenarioId)) {
+      return res.status(400).json({ error: 'Invalid scenario ID' });
+    }
+    if (expiresInDays != null && !(Number.isInteger(expiresInDays) && expiresInDays > 0 && expiresInDays <= 365)) {
+      return res.status(400).json({ error: 'expiresInDays must be a whole number from 1 to 365' });
+    }
+    const scenario = await loadScenario(scenarioId);
+    if (!scenario || scenario.archived) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    const participantResult = await db.query('SELECT id FROM participants WHERE id = $1', [req.params.id]);
+    if (participantResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    const result = await db.query(
+      `INSERT INTO invites (code, participant_id, scenario_id, expires_at)
+       VALUES ($1, $2, $3, CASE WHEN $4::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $4::int) END)
+       RETURNING code, scenario_id, session_id, expires_at, used_at, created_at`,
+      [generateInviteCode(), req.params.id, scenarioId, expiresInDays ?? null]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// Delete everything held about a participant (sessions, transcripts,
+// analyses, invites). Irreversible, so owners only.
+app.delete('/api/admin/participants/:id', requireAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const deletedSessions = await retention.deleteParticipantData(req.params.id);
+    if (deletedSessions === null) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+    res.json({ success: true, deletedSessions });
+  } catch (error) {
+    console.error('Delete participant error:', error);
+    res.status(500).json({ error: 'Failed to delete participant data' });
+  }
+});
+
+// ---- Scenario authoring ----
+
+app.get('/api/admin/scenarios', requireAdminAuth, async (req, res) => {
+  try {
+    res.json(await scenarios.listScenarios({ includeArchived: true }));
+  } catch (error) {
+    console.error('Admin scenarios error:', error);
+    res.status(500).json({ error: 'Failed to list scenarios' });
+  }
+});
+
+app.get('/api/admin/scenarios/:id', requireAdminAuth, async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version, 10) : null;
+    if (req.query.version && !(version > 0)) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+    const scenario = await loadScenario(req.params.id, version);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    const versions = await scenarios.listScenarioVersions(req.params.id);
+    res.json({ ...scenario, currentVersion: versions[0].version, versions });
+  } catch (error) {
+    console.error('Admin get scenario error:', error);
+    res.status(500).json({ error: 'Failed to get scenario' });
+  }
+});
+
+app.post('/api/admin/scenarios', requireAdminAuth, requireRole('assessor'), async (req, res) => {
+  try {
+    const { id, ...definition } = req.body;
+    if (typeof id !== 'string' || !scenarios.SCENARIO_ID_PATTERN.test(id) || id.length > 100) {
+      return res.status(400).json({ error: 'id must be letters, numbers, dashes or underscores' });
+    }
+    const errors = scenarios.validateScenarioDefinition(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    res.locals.auditTargetId = id;
+    res.status(201).json(await scenarios.createScenario(id, definition));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A scenario with that ID already exists' });
+    }
+    console.error('Create scenario error:', error);
+    res.status(500).json({ error: 'Failed to create scenario' });
+  }
+});
+
+app.put('/api/admin/scenarios/:id', requireAdminAuth, requireRole('assessor'), async (req, res) => {
+  try {
+    const { id: _id, version: _version, archived: _archived, ...definition } = req.body;
+    const errors = scenarios.validateScenarioDefinition(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    const scenario = await scenarios.updateScenario(req.params.id, definition);
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+    res.json(scenario);
+  } catch (error) {
+    console.error('Update scenario error:', error);
+    res.status(500).json({ error: 'Failed to update scenario' });
+  }
+});
+
+for (const [action, archived] of [['archive', true], ['restore', false]]) {
+  app.post(`/api/admin/scenarios/:id/${action}`, requireAdminAuth, requireRole('assessor'), async (req, res) => {
+    try {
+      if (!(await scenarios.setScenarioArchived(req.params.id, archived))) {
+        return res.status(404).json({ error: 'Scenario not found' });
+      }
+      res.json(await loadScenario(req.params.id));
+    } catch (error) {
+      console.error(`${action} scenario error:`, error);
+      res.status(500).json({ error: `Failed to ${action} scenario` });
+    }
+  });
+}
+
+// "Test chat" for the scenario editor: runs one turn against an unsaved
+// definition and a client-held transcript. Nothing is stored.
+app.post('/api/admin/scenarios/preview-turn', requireAdminAuth, requireRole('assessor'), async (req, res) => {
+  try {
+    const { scenario, transcript, message } = req.body;
+    const errors = scenarios.validateScenarioDefinition(scenario);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+    if (!message || typeof message !== 'string' || message.length > MAX_TURN_LENGTH) {
+      return res.status(400).json({ error: `message is required and must be under ${MAX_TURN_LENGTH} characters` });
+    }
+    if (!Array.isArray(transcript) || transcript.some(m =>
+      !m || !['user', 'assistant'].includes(m.role) || typeof m.content !== 'string')) {
+      return res.status(400).json({ error: 'transcript must be an array of { role, content } messages' });
+    }
+
+    const response = await anthropic.messages.create({
+      model: 'claude-3-haiku-20240307',
+      max_tokens: 1024,
+      system: buildConversationSystemPrompt(scenario),
+      messages: [...transcript.map(m => ({ role: m.role, content: m.content })), { role: 'user', content: message }]
     });
+
+    res.json({ response: response.content?.[0]?.text || '', role: 'assistant' });
+  } catch (error) {
+    console.error('Scenario preview error:', error);
+    res.status(500).json({ error: 'Preview failed' });
+  }
+});
+
+// ---- Audit log (owners only) ----
+
+app.get('/api/admin/audit-log', requireAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    const page = await listAuditLog(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    res.json(page);
+  } catch (error) {
+    console.error('Audit log error:', error);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+app.get('/api/admin/audit-log/actions', requireAdminAuth, requireRole('owner'), async (req, res) => {
+  try {
+    res.json(await listAuditActions());
+  } catch (error) {
+    console.error('Audit actions error:', error);
+    res.status(500).json({ error: 'Failed to load audit actions' });
+  }
+});
+
+// Transcription pool load, and queue wait and processing times (ms) of the
+// most recent transcriptions
+app.get('/api/admin/metrics/transcription', requireAdminAuth, requireRole('owner'), (req, res) => {
+  res.json({
+    provider: sttProvider.name,
+    model: sttProvider.model,
+    ...transcriptionPool.metrics(),
   });
 });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  server.close(() => {
-    db.pool.end().then(() => {
-      console.log('Database pool closed');
-      process.exit(0);
+app.get('/api/admin/sessions/:id/analysis-status', requireAdminAuth, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT id, status, attempts, last_error, created_at, started_at, finished_at
+       FROM analysis_jobs WHERE session_id = $1
+       ORDER BY created_at DESC LIMIT 1`,
+      [req.params.id]
+    );
+    if (result.rows.length === 0) {
+      return res.json({ status: 'none' });
+    }
+    const job = result.rows[0];
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: MAX_ANALYSIS_ATTEMPTS,
+      lastError: job.last_error,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
     });
+  } catch (error) {
+    console.error('Analysis status error:', error);
+    res.status(500).json({ error: 'Failed to get analysis status' });
+  }
+});
+
+// ---- Retention sweeper ----
+//
+// Periodically applies the retention policy (see retention.js) and clears
+// orphaned uploads and recordings. Runs in-process; with several instances
+// the batches are claimed with SKIP LOCKED, so sweeps don't collide.
+
+const RETENTION_SWEEP_INTERVAL_MS = (parseInt(process.env.RETENTION_SWEEP_MINUTES, 10) || 60) * 60 * 1000;
+const retentionSweeper = { timer: null, running: null, stopping: false };
+
+function runRetentionSweep() {
+  if (retentionSweeper.running) return retentionSweeper.running;
+  retentionSweeper.running = (async () => {
+    try {
+      const policy = retention.getRetentionPolicy();
+      const swept = await retention.sweepExpiredSessions(policy, { shouldStop: () => retentionSweeper.stopping });
+      if (swept > 0) {
+        console.log(`Retention: ${policy.mode === 'delete' ? 'deleted' : 'anonymized'} ${swept} session(s) older than ${policy.days} days`);
+      }
+      const removed = await retention.cleanStaleUploads(uploadsDir);
+      if (removed > 0) console.log(`Retention: removed ${removed} stale upload(s)`);
+      const unlinked = await retention.cleanUnlinkedTurnAudio();
+      if (unlinked > 0) console.log(`Retention: removed ${unlinked} recording(s) or speech record(s) never attached to a turn`);
+    } catch (error) {
+      console.error('Retention sweep error:', error);
+    } finally {
+      retentionSweeper.running = null;
+    }
+  })();
+  return retentionSweeper.running;
+}
+
+function startRetentionSweeper() {
+  const policy = retention.getRetentionPolicy();
+  console.log(policy
+    ? `Retention sweeper started: ${policy.mode} sessions older than ${policy.days} days`
+    : 'Retention sweeper started: sessions are kept indefinitely (RETENTION_DAYS not set)');
+  retentionSweeper.timer = setInterval(runRetentionSweep, RETENTION_SWEEP_INTERVAL_MS);
+  runRetentionSweep();
+}
+
+// Stop scheduling sweeps and let one in progress finish its current batch
+async function stopRetentionSweeper() {
+  retentionSweeper.stopping = true;
+  clearInterval(retentionSweeper.timer);
+  await retentionSweeper.running;
+}
+
+const PORT = process.env.PORT || 3000;
+const server = app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  startAnalysisWorker();
+  startRetentionSweeper();
+  auth.ensureBootstrapOwner().catch(err => {
+    console.error('Failed to create the initial owner account:', err.message);
   });
 });
+server.on('upgrade', handleUpgrade);
+
+// Graceful shutdown: stop accepting requests, let in-flight analyses finish,
+// then close the database pool
+let shuttingDown = false;
+
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down gracefully...`);
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  liveTranscription.close();
+  const workerStopped = stopAnalysisWorker().catch(err => {
+    console.error('Error stopping analysis worker:', err);
+  });
+  const sweeperStopped = stopRetentionSweeper();
+  Promise.all([serverClosed, workerStopped, sweeperStopped])
+    .then(() => db.pool.end())
+    .then(() => {
+      console.log('Database pool closed');
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('Error closing database pool:', err);
+      process.exit(1);
+    });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
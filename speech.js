@@ -0,0 +1,43 @@
+// Speech data for spoken participant turns: delivery metrics (delivery.js)
+// and the transcription's word timings and confidence.
+//
+// Saved when the audio is transcribed and linked to the participant's message
+// once the turn is recorded, by the same id as the turn's recording (see
+// recordings.js). Word text is redacted like the message itself.
+
+const db = require('./db');
+const { redact, redactWords } = require('./redaction');
+
+// Keep what's worth storing from a transcription, with participant details
+// redacted: segment times and text, and each word's timing and probability
+function redactTranscription({ segments, words }) {
+  return {
+    segments: segments.map(s => ({ start: s.start, end: s.end, text: redact(s.text).text })),
+    words: redactWords(words),
+  };
+}
+
+// Either part may be null if it couldn't be produced
+async function saveSpeech(id, sessionId, { delivery, transcription }) {
+  await db.query(
+    'INSERT INTO message_speech (id, session_id, delivery, transcription) VALUES ($1, $2, $3, $4)',
+    [id, sessionId, delivery ? JSON.stringify(delivery) : null,
+      transcription ? JSON.stringify(redactTranscription(transcription)) : null]
+  );
+}
+
+// Attach stored speech data to the message it was transcribed into. Runs on
+// the caller's transaction. Returns false if there's nothing to link.
+async function linkSpeech(client, id, sessionId, messageId) {
+  const result = await client.query(
+    `UPDATE message_speech SET message_id = $3
+     WHERE id = $1 AND session_id = $2 AND message_id IS NULL`,
+    [id, sessionId, messageId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  saveSpeech,
+  linkSpeech,
+};
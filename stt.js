@@ -0,0 +1,251 @@
+// Speech-to-text providers.
+//
+// STT_PROVIDER picks one:
+//   whisper-cpp (default) - the whisper.cpp build bundled with whisper-node.
+//                           STT_MODEL names the ggml model (default base.en,
+//                           read from models/ggml-<model>.bin). English-only
+//                           (.en) models hand other languages to
+//                           STT_MULTILINGUAL_MODEL (default: the same model
+//                           without .en).
+//   openai                - any server implementing OpenAI's
+//                           /audio/transcriptions API (STT_API_URL,
+//                           STT_API_KEY; STT_MODEL defaults to whisper-1).
+//   mock                  - returns STT_MOCK_TEXT without looking at the
+//                           audio, for tests and development.
+// STT_LANGUAGE sets the default spoken language (default en; "auto" to
+// detect). Sessions held in another language pass theirs to transcribe().
+//
+// Every provider's transcribe(wavPath, { signal, language }) takes a 16kHz
+// mono WAV, stops if the signal aborts, and resolves to
+// { text, segments, words }: segments are [{ start, end, text }] and words
+// [{ text, start, end, p }], with times in seconds and p the word's
+// probability (null if the provider doesn't report one).
+// supportsLanguage(language) says whether it can transcribe a language, and
+// modelFor(language) which model it would use.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+
+const STT_PROVIDERS = ['whisper-cpp', 'openai', 'mock'];
+const STT_TIMEOUT_MS = 60000;
+
+// ---- whisper.cpp ----
+
+// Whisper's special tokens ([_BEG_], [_TT_150], <|endoftext|>) aren't speech
+const WHISPER_SPECIAL_TOKEN = /^(?:\[_|<\|)/;
+
+// whisper.cpp writes each token's bytes as they are, and splits multi-byte
+// characters across tokens, so its JSON is read as latin1 (one char per
+// byte) and text only decoded as UTF-8 once whole words are put together
+const decodeUtf8 = bytes => Buffer.from(bytes, 'latin1').toString('utf8');
+// Only ASCII whitespace: in latin1, 0x85 and 0xA0 can be halves of characters
+const trimAscii = text => text.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, '');
+
+// Group a segment's tokens into words. Whisper tokens are word pieces; a
+// token starting with a space begins a new word, and punctuation joins the
+// word before it. A word's probability is its least confident token's.
+// Token text is latin1-read bytes (see decodeUtf8).
+function wordsFromTokens(tokens) {
+  const words = [];
+  let current = null;
+  let spaced = false; // a space-only token ends the word before it
+  for (const token of tokens) {
+    if (WHISPER_SPECIAL_TOKEN.test(token.text)) continue;
+    const start = token.offsets ? token.offsets.from / 1000 : null;
+    const end = token.offsets ? token.offsets.to / 1000 : null;
+    const piece = trimAscii(token.text);
+    spaced = spaced || /^[ \t\r\n]/.test(token.text);
+    if (!piece) continue;
+    if (!current || (spaced && !/^[.,!?;:]+$/.test(piece))) {
+      current = { text: piece, start, end, p: token.p };
+      words.push(current);
+    } else {
+      current.text += piece;
+      if (end !== null) current.end = end;
+      current.p = Math.min(current.p, token.p);
+    }
+    spaced = false;
+  }
+  return words.map(w => ({ ...w, text: decodeUtf8(w.text), p: Math.round(w.p * 1000) / 1000 }));
+}
+
+// Parse whisper.cpp's --output-json-full file, given as a Buffer
+function parseWhisperJson(raw) {
+  // Token text isn't escaped for control characters; outside strings they're
+  // just whitespace, so blank them all
+  const result = JSON.parse(raw.toString('latin1').replace(/[\u0000-\u001f]/g, ' '));
+  const segments = [];
+  const words = [];
+  for (const segment of result.transcription || []) {
+    const text = decodeUtf8(trimAscii(segment.text)).trim();
+    if (!text) continue;
+    segments.push({ start: segment.offsets.from / 1000, end: segment.offsets.to / 1000, text });
+    words.push(...wordsFromTokens(segment.tokens || []));
+  }
+  return { text: segments.map(s => s.text).join(' '), segments, words };
+}
+
+function createWhisperCppProvider({ model = 'base.en', multilingualModel = model.replace(/\.en$/, ''), language = 'en' }) {
+  let dir = null;
+  let available = false;
+  try {
+    // whisper-node installs whisper.cpp under its lib directory
+    dir = path.join(path.dirname(require.resolve('whisper-node')), '..', 'lib', 'whisper.cpp');
+  } catch (err) {
+    console.warn('whisper.cpp not available:', err.message);
+  }
+  const mainBinary = dir && path.join(dir, 'main');
+  const modelFileFor = name => dir && path.join(dir, 'models', `ggml-${name}.bin`);
+  const modelFile = modelFileFor(model);
+  // English-only models can't transcribe anything else
+  const modelFor = lang => (model.endsWith('.en') && lang !== 'en' ? multilingualModel : model);
+
+  if (dir) {
+    if (fs.existsSync(mainBinary) && fs.existsSync(modelFile)) {
+      available = true;
+      console.log(`whisper.cpp available at ${dir} (model ${model})`);
+    } else {
+      console.warn('whisper.cpp binary or model not found.');
+      if (!fs.existsSync(mainBinary)) console.warn('  Missing binary:', mainBinary);
+      if (!fs.existsSync(modelFile)) console.warn('  Missing model:', modelFile);
+    }
+  }
+  const multilingualAvailable = available && (modelFor('auto') === model || fs.existsSync(modelFileFor(multilingualModel)));
+  if (available && !multilingualAvailable) {
+    console.warn(`STT model ${model} only understands English, and ${modelFileFor(multilingualModel)} is missing; other languages fall back to browser speech recognition`);
+  }
+  const supportsLanguage = lang => (lang === 'en' || modelFor(lang) === model ? available : multilingualAvailable);
+
+  // Run whisper.cpp directly, bypassing whisper-node's buggy output parser.
+  // Its JSON output is written next to the WAV.
+  function transcribe(wavPath, { signal, language: lang = language } = {}) {
+    return new Promise((resolve, reject) => {
+      const jsonPath = wavPath + '.json';
+      const args = ['-l', lang, '-m', modelFileFor(modelFor(lang)), '-f', wavPath, '--output-json-full', '--output-file', wavPath];
+      execFile(mainBinary, args, { cwd: dir, timeout: STT_TIMEOUT_MS, signal }, async (error) => {
+        try {
+          if (error) throw new Error(`whisper.cpp failed: ${error.message}`);
+          resolve(parseWhisperJson(await fs.promises.readFile(jsonPath)));
+        } catch (err) {
+          reject(err);
+        } finally {
+          fs.promises.unlink(jsonPath).catch(() => {});
+        }
+      });
+    });
+  }
+
+  return { name: 'whisper-cpp', label: 'whisper.cpp', model, language, available, supportsLanguage, modelFor, transcribe };
+}
+
+// ---- OpenAI-compatible HTTP ----
+
+function createOpenAiProvider({ model = 'whisper-1', language = 'en', apiUrl, apiKey }) {
+  const available = Boolean(apiUrl);
+  if (!available) console.warn('STT_PROVIDER=openai needs STT_API_URL (e.g. https://api.openai.com/v1)');
+  const endpoint = apiUrl && `${apiUrl.replace(/\/+$/, '')}/audio/transcriptions`;
+
+  async function transcribe(wavPath, { signal, language: lang = language } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([await fs.promises.readFile(wavPath)], { type: 'audio/wav' }), 'audio.wav');
+    form.append('model', model);
+    if (lang !== 'auto') form.append('language', lang);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'segment');
+    form.append('timestamp_granularities[]', 'word');
+
+    let data;
+    try {
+      const response = await axios.post(endpoint, form, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        timeout: STT_TIMEOUT_MS,
+        signal,
+      });
+      data = response.data;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw new Error(`Transcription server request failed: ${detail}`);
+    }
+
+    const segments = (data.segments || [])
+      .map(s => ({ start: s.start, end: s.end, text: String(s.text).trim() }))
+      .filter(s => s.text);
+    // verbose_json reports word timings but not their probabilities
+    const words = (data.words || []).map(w => ({ text: String(w.word).trim(), start: w.start, end: w.end, p: null }));
+    return { text: String(data.text || '').trim(), segments, words };
+  }
+
+  return {
+    name: 'openai',
+    label: 'OpenAI-compatible server',
+    model,
+    language,
+    available,
+    supportsLanguage: () => available,
+    modelFor: () => model,
+    transcribe,
+  };
+}
+
+// ---- Mock ----
+
+function createMockProvider({ language = 'en', text = 'This is a mock transcription.' }) {
+  // Pretend each word took 0.4s, with full confidence
+  async function transcribe() {
+    const words = text.split(/\s+/).filter(Boolean).map((word, i) => ({
+      text: word,
+      start: (i * 4) / 10,
+      end: ((i + 1) * 4) / 10,
+      p: 1,
+    }));
+    const end = words.length > 0 ? words[words.length - 1].end : 0;
+    return { text, segments: text ? [{ start: 0, end, text }] : [], words };
+  }
+
+  return {
+    name: 'mock',
+    label: 'mock',
+    model: 'mock',
+    language,
+    available: true,
+    supportsLanguage: () => true,
+    modelFor: () => 'mock',
+    transcribe,
+  };
+}
+
+// Build the provider chosen by the environment. An unknown STT_PROVIDER is
+// reported and leaves server-side transcription unavailable.
+function createSttProvider(env = process.env) {
+  const name = env.STT_PROVIDER || 'whisper-cpp';
+  const language = env.STT_LANGUAGE || 'en';
+  const model = env.STT_MODEL || undefined;
+  switch (name) {
+    case 'whisper-cpp':
+      return createWhisperCppProvider({ model, multilingualModel: env.STT_MULTILINGUAL_MODEL || undefined, language });
+    case 'openai':
+      return createOpenAiProvider({ model, language, apiUrl: env.STT_API_URL, apiKey: env.STT_API_KEY });
+    case 'mock':
+      return createMockProvider({ language, text: env.STT_MOCK_TEXT });
+    default:
+      console.error(`Unknown STT_PROVIDER "${name}" (expected ${STT_PROVIDERS.join(', ')}); server-side transcription is disabled`);
+      return {
+        name,
+        label: name,
+        model: null,
+        language,
+        available: false,
+        supportsLanguage: () => false,
+        modelFor: () => null,
+        transcribe: async () => { throw new Error(`Unknown STT provider "${name}"`); },
+      };
+  }
+}
+
+module.exports = {
+  createSttProvider,
+  parseWhisperJson,
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REDACTION_NAMES = 'Will,May,Acme Logistics';
+delete process.env.REDACTION_ENCRYPTION_KEY;
+const { redact, redactWords, redactForStorage } = require('../redaction');
+
+const redacted = text => redact(text).text;
+
+test('redacts emails and phone numbers', () => {
+  assert.equal(redacted('Mail jane.doe@example.com or call 555-123-4567'), 'Mail [EMAIL] or call [PHONE]');
+  assert.equal(redacted('it is jane at gmail dot com'), 'it is [EMAIL]');
+});
+
+test('redacts phone numbers read out digit by digit', () => {
+  assert.equal(redacted('my number is 5 5 5 1 2 3 4'), 'my number is [PHONE]');
+  assert.equal(redacted('call 555 12 34 please'), 'call [PHONE] please');
+});
+
+test('leaves runs of years and short number lists alone', () => {
+  assert.equal(redacted('I worked there 2019 2020 2021'), 'I worked there 2019 2020 2021');
+  assert.equal(redacted('I scored 3 4 5 on the quiz'), 'I scored 3 4 5 on the quiz');
+});
+
+test('redacts street addresses with or without capitals', () => {
+  assert.equal(redacted('I live at 123 Main Street.'), 'I live at [ADDRESS]');
+  assert.equal(redacted('i live at 42 oak street'), 'i live at [ADDRESS]');
+  assert.equal(redacted('send it to 4021 martin luther king blvd'), 'send it to [ADDRESS]');
+  assert.equal(redacted('we met at 55 5th ave'), 'we met at [ADDRESS]');
+});
+
+test('does not take ordinary speech for an address', () => {
+  for (const text of [
+    'I have 2 kids who drive to school',
+    'I worked 40 Hours Way too much',
+    'i worked 40 hours way too much',
+    '5 years on the road',
+    'there were 3 people in the way',
+  ]) {
+    assert.equal(redacted(text), text);
+  }
+});
+
+test('matches names as written in cased text', () => {
+  assert.equal(redacted('I will ask May if it may work'), 'I will ask [NAME] if it may work');
+  assert.equal(redacted('Will said acme logistics, not Acme Logistics'), '[NAME] said acme logistics, not [NAME]');
+});
+
+test('matches names regardless of case in lowercase transcripts', () => {
+  assert.equal(redacted('i talked to may at acme logistics'), 'i talked to [NAME] at [NAME]');
+  assert.equal(redacted('I talked to may. She was fine'), 'I talked to [NAME]. She was fine');
+});
+
+test('redacts without an encryption key, just without keeping the original', () => {
+  assert.deepEqual(redactForStorage('call 555-123-4567'), { content: 'call [PHONE]', encryptedOriginal: null });
+});
+
+test('redacts words, merging a match split across them', () => {
+  const words = ['call', '5', '5', '5', '1', '2', '3', '4', 'now'].map((text, i) => ({ text, start: i, end: i + 1, p: 0.9 }));
+  assert.deepEqual(redactWords(words).map(word => [word.text, word.start, word.end]), [
+    ['call', 0, 1],
+    ['[PHONE]', 1, 8],
+    ['now', 8, 9],
+  ]);
+});
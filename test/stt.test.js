@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseWhisperJson } = require('../stt');
+
+// whisper.cpp's --output-json-full output, written byte for byte as
+// whisper.cpp does: token text is raw bytes, even halves of a character
+function whisperJson(segments) {
+  const parts = ['{"transcription":['];
+  segments.forEach((segment, i) => {
+    if (i > 0) parts.push(',');
+    parts.push(`{"offsets":{"from":${segment.from},"to":${segment.to}},"text":"`, segment.text, '","tokens":[');
+    segment.tokens.forEach((token, j) => {
+      if (j > 0) parts.push(',');
+      parts.push('{"text":"', token.text, `","offsets":{"from":${token.from},"to":${token.to}},"p":${token.p}}`);
+    });
+    parts.push(']}');
+  });
+  parts.push(']}');
+  return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part, 'utf8'))));
+}
+
+test('groups tokens into words with timings and the lowest probability', () => {
+  const raw = whisperJson([{
+    from: 0,
+    to: 1500,
+    text: ' Hello there.',
+    tokens: [
+      { text: '[_BEG_]', from: 0, to: 0, p: 1 },
+      { text: ' Hel', from: 0, to: 300, p: 0.9 },
+      { text: 'lo', from: 300, to: 500, p: 0.6 },
+      { text: ' there', from: 600, to: 1000, p: 0.95 },
+      { text: '.', from: 1000, to: 1100, p: 0.99 },
+    ],
+  }]);
+  assert.deepEqual(parseWhisperJson(raw), {
+    text: 'Hello there.',
+    segments: [{ start: 0, end: 1.5, text: 'Hello there.' }],
+    words: [
+      { text: 'Hello', start: 0, end: 0.5, p: 0.6 },
+      { text: 'there.', start: 0.6, end: 1.1, p: 0.95 },
+    ],
+  });
+});
+
+test('decodes accented characters split across tokens', () => {
+  // "é" is C3 A9 and "à" C3 A0; whisper.cpp puts each byte in its own token
+  const raw = whisperJson([{
+    from: 0,
+    to: 2000,
+    text: Buffer.from(' Está allí, café à', 'utf8'),
+    tokens: [
+      { text: Buffer.from(' Est', 'utf8'), from: 0, to: 200, p: 0.9 },
+      { text: Buffer.from([0xc3]), from: 200, to: 250, p: 0.7 },
+      { text: Buffer.from([0xa1]), from: 250, to: 300, p: 0.8 },
+      { text: Buffer.from(' all', 'utf8'), from: 400, to: 600, p: 0.9 },
+      { text: Buffer.from([0xc3, 0xad]), from: 600, to: 700, p: 0.9 },
+      { text: ',', from: 700, to: 750, p: 0.9 },
+      { text: Buffer.from(' caf', 'utf8'), from: 800, to: 1000, p: 0.9 },
+      { text: Buffer.from([0xc3]), from: 1000, to: 1050, p: 0.5 },
+      { text: Buffer.from([0xa9]), from: 1050, to: 1100, p: 0.9 },
+      { text: Buffer.from(' ', 'utf8'), from: 1200, to: 1200, p: 0.9 },
+      { text: Buffer.from([0xc3]), from: 1200, to: 1250, p: 0.9 },
+      { text: Buffer.from([0xa0]), from: 1250, to: 1300, p: 0.9 },
+    ],
+  }]);
+  const { text, words } = parseWhisperJson(raw);
+  assert.equal(text, 'Está allí, café à');
+  assert.deepEqual(words.map(word => word.text), ['Está', 'allí,', 'café', 'à']);
+  assert.equal(words[0].p, 0.7);
+  assert.equal(words[2].p, 0.5);
+});
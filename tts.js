@@ -0,0 +1,347 @@
+// Text-to-speech providers.
+//
+// TTS_PROVIDER picks one:
+//   elevenlabs (default) - ElevenLabs' API (ELEVENLABS_API_KEY). TTS_VOICE is
+//                          the default voice id and TTS_MODEL the model.
+//   piper                - Piper run locally (PIPER_PATH, default "piper").
+//                          TTS_VOICE names the default voice, read from
+//                          PIPER_VOICES_DIR/<voice>.onnx.
+//   espeak               - espeak-ng run locally (ESPEAK_PATH, default
+//                          "espeak-ng"). TTS_VOICE is the default voice, e.g.
+//                          en-us+f3.
+//   browser              - no speech from the server; participants' browsers
+//                          speak the replies themselves.
+//
+// TTS_VOICE_<LANGUAGE> (e.g. TTS_VOICE_ES) sets the default voice for
+// sessions held in another language; espeak-ng otherwise uses its voice for
+// the language, and the others keep TTS_VOICE (ElevenLabs' multilingual
+// models speak any language in it).
+//
+// Scenarios can give their character a voice for each provider under `voice`
+// in their definition (see VOICE_FIELDS), so characters sound different
+// whichever provider is in use. Anything a scenario leaves out falls back to
+// the provider's defaults.
+//
+// Every provider's synthesize(text, voice, { signal }) takes the voice from
+// resolveVoice(scenarioVoice, language) and resolves to a readable stream of
+// the audio, in the provider's mimeType. ElevenLabs and espeak-ng stream it
+// as it is produced, and the stream errors if synthesis fails partway; Piper
+// only resolves once the whole clip is done.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, spawnSync } = require('child_process');
+const { PassThrough } = require('stream');
+const { finished } = require('stream/promises');
+const axios = require('axios');
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('./languages');
+
+const TTS_PROVIDERS = ['elevenlabs', 'piper', 'espeak', 'browser'];
+const TTS_TIMEOUT_MS = 30000;
+
+// Voice settings a scenario may set, per provider, with their types.
+// `browser` settings are applied by the participant's browser.
+const VOICE_FIELDS = {
+  elevenlabs: { voiceId: 'string', model: 'string', stability: 'number', similarityBoost: 'number' },
+  piper: { voice: 'string', speaker: 'number', lengthScale: 'number' },
+  espeak: { voice: 'string', speed: 'number', pitch: 'number' },
+  browser: { name: 'string', lang: 'string', rate: 'number', pitch: 'number' },
+};
+// Voice names end up in file paths and command lines
+const VOICE_NAME_PATTERN = /^[\w.+-]+$/;
+
+// Validate a scenario's `voice`; returns a list of problems (empty if valid)
+function validateVoiceConfig(voice) {
+  if (!voice || typeof voice !== 'object' || Array.isArray(voice)) {
+    return ['voice must be an object keyed by TTS provider'];
+  }
+  const errors = [];
+  for (const [provider, settings] of Object.entries(voice)) {
+    const fields = VOICE_FIELDS[provider];
+    if (!fields) {
+      errors.push(`voice.${provider} is not a TTS provider (expected ${TTS_PROVIDERS.join(', ')})`);
+      continue;
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`voice.${provider} must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(settings)) {
+      const type = fields[field];
+      if (!type) {
+        errors.push(`voice.${provider}.${field} is not a known setting (expected ${Object.keys(fields).join(', ')})`);
+      } else if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+        errors.push(`voice.${provider}.${field} must be a ${type}`);
+      } else if (field === 'voice' && !VOICE_NAME_PATTERN.test(value)) {
+        errors.push(`voice.${provider}.voice may only contain letters, numbers, "_", ".", "+" and "-"`);
+      }
+    }
+  }
+  return errors;
+}
+
+// The scenario's settings for this provider over the defaults for the
+// session's language, over the provider's defaults
+function voiceResolver(name, defaults, languageDefaults = {}) {
+  return (scenarioVoice, language) => ({
+    ...defaults,
+    ...(languageDefaults[language] || {}),
+    ...((scenarioVoice && scenarioVoice[name]) || {}),
+  });
+}
+
+// { language: { [field]: voice } } for the languages given a voice
+function languageVoiceDefaults(languageVoices, field) {
+  return Object.fromEntries(Object.entries(languageVoices).map(([language, voice]) => [language, { [field]: voice }]));
+}
+
+// Whether a command can be run at all
+function commandWorks(command, args) {
+  const result = spawnSync(command, args, { timeout: 5000, stdio: 'ignore' });
+  return !result.error;
+}
+
+// Start a local synthesizer with the text on its stdin. Returns a stream of
+// its stdout, which errors if the synthesizer fails.
+function spawnSynthesizer(command, args, text, signal) {
+  const child = spawn(command, args, { signal, timeout: TTS_TIMEOUT_MS });
+  const output = new PassThrough();
+  let stderr = '';
+  child.stdout.pipe(output, { end: false });
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.stdin.on('error', () => {}); // reported by 'close' instead
+  child.on('error', error => output.destroy(error));
+  child.on('close', code => {
+    if (code === 0) output.end();
+    else output.destroy(new Error(`${command} failed (exit ${code}): ${stderr.trim().slice(-200)}`));
+  });
+  child.stdin.end(text);
+  return output;
+}
+
+// ---- ElevenLabs ----
+
+function createElevenLabsProvider({ apiKey, voice = 'pNInz6obpgDQGcFmaJgB', model = 'eleven_multilingual_v2', languageVoices = {} }) {
+  const available = Boolean(apiKey);
+  if (!available) console.warn('TTS_PROVIDER=elevenlabs needs ELEVENLABS_API_KEY; browsers will speak instead');
+
+  async function synthesize(text, { voiceId, model, stability, similarityBoost }, { signal } = {}) {
+    try {
+      const response = await axios.post(
+        `https://api.elevenlabs.io/v1/text-to-speech/${encodeURIComponent(voiceId)}/stream`,
+        {
+          text,
+          model_id: model,
+          voice_settings: { stability, similarity_boost: similarityBoost },
+        },
+        {
+          headers: {
+            'Accept': 'audio/mpeg',
+            'Content-Type': 'application/json',
+            'xi-api-key': apiKey,
+          },
+          responseType: 'stream',
+          timeout: TTS_TIMEOUT_MS,
+          signal,
+        }
+      );
+      return response.data;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw new Error(`ElevenLabs request failed: ${detail}`);
+    }
+  }
+
+  return {
+    name: 'elevenlabs',
+    label: 'ElevenLabs',
+    available,
+    mimeType: 'audio/mpeg',
+    resolveVoice: voiceResolver('elevenlabs', { voiceId: voice, model, stability: 0.5, similarityBoost: 0.5 },
+      languageVoiceDefaults(languageVoices, 'voiceId')),
+    synthesize,
+  };
+}
+
+// ---- Piper ----
+
+function createPiperProvider({ command = 'piper', voicesDir, voice = 'en_US-lessac-medium', languageVoices = {} }) {
+  const voiceFile = name => path.join(voicesDir, `${name}.onnx`);
+  const available = commandWorks(command, ['--help']) && fs.existsSync(voiceFile(voice));
+  if (!available) console.warn(`Piper not available (command "${command}", voice ${voiceFile(voice)}); browsers will speak instead`);
+
+  // Piper writes its WAV to a file rather than stdout, so the audio is only
+  // available once it's complete
+  async function renderWav(text, { voice, speaker, lengthScale }, signal) {
+    const outputPath = path.join(os.tmpdir(), `piper-${crypto.randomUUID()}.wav`);
+    const args = ['--model', voiceFile(voice), '--output_file', outputPath];
+    if (speaker !== undefined) args.push('--speaker', String(speaker));
+    if (lengthScale !== undefined) args.push('--length_scale', String(lengthScale));
+    try {
+      await finished(spawnSynthesizer(command, args, text, signal).resume());
+      return await fs.promises.readFile(outputPath);
+    } finally {
+      fs.promises.unlink(outputPath).catch(() => {});
+    }
+  }
+
+  // Requests for the same clip while it's being made share one Piper run,
+  // which is only stopped once every one of them has given up
+  const inFlight = new Map(); // text and voice -> { wav, controller, waiting }
+
+  async function synthesize(text, voiceSettings, { signal } = {}) {
+    signal?.throwIfAborted();
+    const key = JSON.stringify([text, voiceSettings]);
+    let run = inFlight.get(key);
+    if (!run) {
+      const controller = new AbortController();
+      run = { controller, waiting: 0 };
+      run.wav = renderWav(text, voiceSettings, controller.signal).finally(() => {
+        if (inFlight.get(key) === run) inFlight.delete(key);
+      });
+      inFlight.set(key, run);
+    }
+    run.waiting++;
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => {
+        if (--run.waiting === 0) {
+          if (inFlight.get(key) === run) inFlight.delete(key);
+          run.controller.abort();
+        }
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+    try {
+      const audio = new PassThrough();
+      audio.end(await Promise.race([run.wav, aborted]));
+      return audio;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  return {
+    name: 'piper',
+    label: 'Piper',
+    available,
+    mimeType: 'audio/wav',
+    resolveVoice: voiceResolver('piper', { voice }, languageVoiceDefaults(languageVoices, 'voice')),
+    synthesize,
+  };
+}
+
+// ---- espeak-ng ----
+
+function createEspeakProvider({ command = 'espeak-ng', voice = 'en-us', languageVoices = {} }) {
+  const available = commandWorks(command, ['--version']);
+  if (!available) console.warn(`espeak-ng not available (command "${command}"); browsers will speak instead`);
+
+  async function synthesize(text, { voice, speed, pitch }, { signal } = {}) {
+    const args = ['-v', voice, '-s', String(speed), '-p', String(pitch), '--stdout'];
+    return spawnSynthesizer(command, args, text, signal);
+  }
+
+  return {
+    name: 'espeak',
+    label: 'espeak-ng',
+    available,
+    mimeType: 'audio/wav',
+    resolveVoice: voiceResolver('espeak', { voice, speed: 160, pitch: 50 }, languageVoiceDefaults({
+      // espeak-ng names its voices by language code
+      ...Object.fromEntries(Object.keys(LANGUAGES).filter(code => code !== DEFAULT_LANGUAGE).map(code => [code, code])),
+      ...languageVoices,
+    }, 'voice')),
+    synthesize,
+  };
+}
+
+// ---- Browser only ----
+
+function createBrowserProvider() {
+  return {
+    name: 'browser',
+    label: 'browser speech synthesis',
+    available: false,
+    mimeType: null,
+    resolveVoice: voiceResolver('browser', {}),
+    synthesize: async () => { throw new Error('Speech is synthesized by the browser'); },
+  };
+}
+
+// Build the provider chosen by the environment. An unknown TTS_PROVIDER is
+// reported and leaves speech to the browser.
+function createTtsProvider(env = process.env) {
+  const name = env.TTS_PROVIDER || 'elevenlabs';
+  const voice = env.TTS_VOICE || undefined;
+  const languageVoices = {};
+  for (const code of Object.keys(LANGUAGES)) {
+    const languageVoice = env[`TTS_VOICE_${code.toUpperCase()}`];
+    if (languageVoice) languageVoices[code] = languageVoice;
+  }
+  switch (name) {
+    case 'elevenlabs':
+      return createElevenLabsProvider({ apiKey: env.ELEVENLABS_API_KEY, voice, model: env.TTS_MODEL || undefined, languageVoices });
+    case 'piper':
+      return createPiperProvider({
+        command: env.PIPER_PATH || undefined,
+        voicesDir: env.PIPER_VOICES_DIR || path.join(__dirname, 'voices'),
+        voice,
+        languageVoices,
+      });
+    case 'espeak':
+      return createEspeakProvider({ command: env.ESPEAK_PATH || undefined, voice, languageVoices });
+    case 'browser':
+      return createBrowserProvider();
+    default:
+      console.error(`Unknown TTS_PROVIDER "${name}" (expected ${TTS_PROVIDERS.join(', ')}); browsers will speak instead`);
+      return { ...createBrowserProvider(), name };
+  }
+}
+
+// ---- Cache ----
+
+// Synthesized audio by provider, voice and text, least recently used first
+// out once maxBytes is reached. The same lines come up again and again (every
+// session starts with the scenario's opening line), and synthesis is slow and
+// may cost money.
+function createTtsCache(maxBytes) {
+  const entries = new Map(); // key -> { audio, mimeType }, oldest use first
+  let bytes = 0;
+
+  function keyFor(providerName, voice, text) {
+    return crypto.createHash('sha256').update(JSON.stringify([providerName, voice, text])).digest('hex');
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  function set(key, entry) {
+    if (entry.audio.length > maxBytes || entries.has(key)) return;
+    entries.set(key, entry);
+    bytes += entry.audio.length;
+    for (const [oldKey, old] of entries) {
+      if (bytes <= maxBytes) break;
+      entries.delete(oldKey);
+      bytes -= old.audio.length;
+    }
+  }
+
+  return { keyFor, get, set };
+}
+
+module.exports = {
+  createTtsProvider,
+  createTtsCache,
+  validateVoiceConfig,
+};